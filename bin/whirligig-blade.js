@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Headless whirligig blade designer. Reads a saved design file (or stdin
+ * with "-") and writes the laser SVG template, the DXF, the nested cut
+ * sheets, the HTML build sheet and/or the balance metrics. Metrics go to stdout unless --metrics
+ * names a file.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { SWEET_SPOT, parseDesign, sampleProfile, analyzeBlade, validateDesign } from '../blade-engine.js';
+import {
+  bladeCutGeometry, buildTemplateSVG, buildDXF, layoutCutSheets, cutSheetGeometry, buildCutSheetSVG,
+} from '../blade-exporters.js';
+import { buildReportHTML } from '../blade-report.js';
+
+const USAGE = `Usage: whirligig-blade <design.json | -> [options]
+
+Options:
+  --svg <file>      write the kerf-compensated laser SVG template
+  --dxf <file>      write the kerf-compensated DXF in the design's unit
+  --sheets <prefix> write each nested cut sheet as <prefix>_<n>_of_<count>.svg and .dxf
+  --report <file>   write the printable HTML build sheet
+  --metrics <file>  write the metrics JSON to a file instead of stdout
+  -h, --help        show this help`;
+
+/**
+ * Balance, mass and production figures for a parsed design, with any
+ * validation issues. Lengths are inches, mass kg, inertia kg·m² about the
+ * axle and wind speed m/s.
+ */
+const designMetrics = ({ name, unit, params }) => {
+  const stations = sampleProfile(params);
+  const blade = analyzeBlade(params, stations);
+  const sheets = layoutCutSheets(params, stations);
+  const quantity = Math.max(1, Math.round(params.quantity));
+  return {
+    name,
+    unit,
+    style: params.tipStyle,
+    cgX: blade.cgX,
+    cgPercent: blade.cgPercent,
+    inSweetSpot: blade.cgPercent >= SWEET_SPOT.start * 100 && blade.cgPercent <= SWEET_SPOT.end * 100,
+    area: blade.totalArea,
+    mass: blade.mass,
+    momentOfInertia: blade.momentOfInertia,
+    rotor: {
+      quantity,
+      mass: blade.mass * quantity,
+      momentOfInertia: blade.momentOfInertia * quantity,
+    },
+    cutInSpeed: Number.isFinite(blade.cutInSpeed) ? blade.cutInSpeed : null,
+    sensitivity: blade.sensitivity,
+    flywheelScore: blade.flywheelScore,
+    flywheelRating: blade.flywheelRating,
+    cutSheets: {
+      count: sheets.count,
+      perSheet: sheets.perSheet,
+      sheetCount: Number.isFinite(sheets.sheetCount) ? sheets.sheetCount : null,
+      utilization: sheets.utilization,
+    },
+    issues: validateDesign(params, stations).map(({ severity, message }) => ({ severity, message })),
+  };
+};
+
+const main = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      svg: { type: 'string' },
+      dxf: { type: 'string' },
+      sheets: { type: 'string' },
+      report: { type: 'string' },
+      metrics: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) throw new Error(`Expected one design file.\n\n${USAGE}`);
+
+  const source = positionals[0] === '-' ? 0 : positionals[0];
+  const design = parseDesign(readFileSync(source, 'utf8'));
+  const { params } = design;
+  const stations = sampleProfile(params);
+
+  if (values.svg) writeFileSync(values.svg, buildTemplateSVG(params, stations));
+  if (values.dxf) writeFileSync(values.dxf, buildDXF(bladeCutGeometry(params, stations, params.kerfOffset), design.unit));
+  if (values.sheets) {
+    const layout = layoutCutSheets(params, stations);
+    if (!layout.sheetCount) throw new Error('The blade does not fit on the stock sheet.');
+    layout.sheets.forEach((_, i) => {
+      const base = `${values.sheets}_${i + 1}_of_${layout.sheetCount}`;
+      writeFileSync(`${base}.svg`, buildCutSheetSVG(layout, i));
+      writeFileSync(`${base}.dxf`, buildDXF(cutSheetGeometry(layout, i), design.unit));
+    });
+  }
+  if (values.report) writeFileSync(values.report, buildReportHTML(params, { name: design.name, unit: design.unit, stations }));
+
+  const metrics = JSON.stringify(designMetrics(design), null, 2) + '\n';
+  if (values.metrics) writeFileSync(values.metrics, metrics);
+  else process.stdout.write(metrics);
+};
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error(`whirligig-blade: ${err.message}`);
+  process.exitCode = 1;
+}
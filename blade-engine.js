@@ -0,0 +1,998 @@
+/**
+ * Whirligig blade engine: geometry, physics, the balance solver and the
+ * design file format. Pure functions of the params with no DOM or React
+ * dependency, shared by the designer, the standalone page and the CLI.
+ * Lengths are inches unless noted; physics results are SI.
+ */
+
+// --- Constants ---
+const DEFAULT_PITCH = 25;
+const DEFAULT_HUB_DIAMETER = 3.5;
+const DEFAULT_FRICTION_TORQUE = 0.01; // N·m, bearing plus any driven figure
+const SWEET_SPOT = { start: 0.35, end: 0.42 };
+const IN_TO_MM = 25.4;
+const IN_TO_M = 0.0254;
+const AIR_DENSITY = 1.225; // kg/m³ at sea level
+const COAST_REFERENCE_RPM = 300;
+const KG_TO_OZ = 35.274;
+const KGM2_TO_LBIN2 = 3417.17;
+const MPS_TO_MPH = 2.23694;
+const NM_TO_OZIN = 141.612;
+
+// --- Units ---
+// Display strings for both unit systems. Inputs are the engine's own units
+// (inches, kg, kg·m², m/s, N·m, kg·m); metric shows mm, g and SI, imperial
+// shows inches, oz, lb·in², mph and oz·in.
+const unitFormatters = (unit) => {
+  const metric = unit === 'metric';
+  return {
+    metric,
+    length: (inches) => (metric ? `${(inches * IN_TO_MM).toFixed(1)}mm` : `${inches.toFixed(3)}in`),
+    area: (in2) => (metric ? `${Math.round(in2 * IN_TO_MM * IN_TO_MM)}mm²` : `${in2.toFixed(2)}in²`),
+    mass: (kg) => (metric ? `${(kg * 1000).toFixed(1)}g` : `${(kg * KG_TO_OZ).toFixed(2)}oz`),
+    inertia: (kgm2) => (metric ? `${kgm2.toPrecision(3)}kg·m²` : `${(kgm2 * KGM2_TO_LBIN2).toPrecision(3)}lb·in²`),
+    speed: (mps) => (!Number.isFinite(mps) ? 'never' : metric ? `${mps.toFixed(1)}m/s` : `${(mps * MPS_TO_MPH).toFixed(1)}mph`),
+    torque: (nm) => (metric ? `${nm.toPrecision(2)}N·m` : `${(nm * NM_TO_OZIN).toPrecision(2)}oz·in`),
+    imbalance: (kgm) => (metric ? `${(kgm * 1e6).toPrecision(3)}g·mm` : `${(kgm * KG_TO_OZ / IN_TO_M).toPrecision(3)}oz·in`),
+  };
+};
+
+// --- Materials ---
+// Density in kg/m³, default stock thickness in inches. minWeb is the
+// narrowest strip of material (inches) that survives cutting and the pin
+// load: solid cedar splits along the grain and acrylic cracks, so they need
+// more than plywood or aluminum. Materials without one use their thickness.
+const MATERIALS = {
+  plywood: { label: 'Birch Plywood', density: 680, thickness: 0.125, minWeb: 0.125 },
+  cedar: { label: 'Cedar', density: 380, thickness: 0.25, minWeb: 0.25 },
+  aluminum: { label: 'Aluminum Sheet', density: 2700, thickness: 0.0625, minWeb: 0.0625 },
+  acrylic: { label: 'Acrylic', density: 1190, thickness: 0.125, minWeb: 0.15 },
+  petg: { label: 'PETG Print', density: 1270, thickness: 0.08, minWeb: 0.08 },
+  custom: { label: 'Custom', density: 1000, thickness: 0.125 },
+};
+
+// --- Geometry Engine ---
+// The analytic half-width profile is the single source of truth for the
+// blade shape. It is sampled once into a polyline (the "profile"), and both
+// the drawn/exported outline and the physics integrals read that polyline,
+// so the CG shown on screen is the CG of the part that gets cut.
+
+// Closest two custom control points may sit, as a fraction of the length
+const CUSTOM_MIN_GAP = 0.01;
+
+const secantSlope = (a, b) => (b.h - a.h) / Math.max(1e-9, b.t - a.t);
+
+// Fritsch–Carlson tangent at control point i: zero at a local peak or
+// valley, otherwise a weighted harmonic mean of the neighbouring secants
+const splineSlope = (points, i) => {
+  if (i === 0) return secantSlope(points[0], points[1]);
+  if (i === points.length - 1) return secantSlope(points[i - 1], points[i]);
+  const before = secantSlope(points[i - 1], points[i]);
+  const after = secantSlope(points[i], points[i + 1]);
+  if (before * after <= 0) return 0;
+  const left = points[i].t - points[i - 1].t;
+  const right = points[i + 1].t - points[i].t;
+  const w1 = 2 * right + left;
+  const w2 = right + 2 * left;
+  return (w1 + w2) / (w1 / before + w2 / after);
+};
+
+/**
+ * Half-width of a custom profile at t (0 at the root, 1 at the tip) from
+ * its control points [{ t, h }]. Monotone cubic interpolation passes
+ * through every point without overshooting between them, so the edge never
+ * bulges past a point the user placed or dips below the centerline.
+ */
+const customWidthAt = (points, t) => {
+  const last = points.length - 1;
+  if (last < 1) return 0;
+  if (t <= points[0].t) return points[0].h;
+  if (t >= points[last].t) return points[last].h;
+  let k = 0;
+  while (t > points[k + 1].t) k++;
+  const a = points[k];
+  const b = points[k + 1];
+  const dt = b.t - a.t;
+  const s = (t - a.t) / dt;
+  return (1 + 2 * s) * (1 - s) * (1 - s) * a.h + s * (1 - s) * (1 - s) * dt * splineSlope(points, k)
+    + s * s * (3 - 2 * s) * b.h + s * s * (s - 1) * dt * splineSlope(points, k + 1);
+};
+
+const getWidthAt = (x, p) => {
+  const hRoot = p.rootWidth / 2;
+  const hMax = p.tipWidth / 2;
+  const L = Math.max(0.1, p.exposedLength);
+  if (x < 0) return p.tabWidth / 2;
+  if (p.tipStyle === 'custom') return Math.max(0, customWidthAt(p.customProfile, x / L));
+  
+  if (p.tipStyle === 'leaf') {
+    const bX = L * p.widthPosition;
+    const distToTip = L - bX;
+    if (x <= bX) {
+      const t = x / Math.max(0.001, bX);
+      return hRoot + (hMax - hRoot) * Math.sin((t * Math.PI) / 2);
+    } else {
+      const t = (x - bX) / Math.max(0.001, distToTip);
+      const bluntness = p.tipRadius;
+      const sharpness = 1 + (p.taperSharpness * 3);
+      const curve = Math.pow(Math.max(0, 1 - t), sharpness) * (1 - bluntness) + Math.sqrt(Math.max(0, 1 - t * t)) * bluntness;
+      return hMax * curve;
+    }
+  } else {
+    const t = x / L;
+    const curvePower = p.edgeCurvature < 0.5 ? 1 + (0.5 - p.edgeCurvature) * 4 : 1 / (1 + (p.edgeCurvature - 0.5) * 4);
+    let w = hRoot + (hMax - hRoot) * Math.pow(t, curvePower);
+    if (x > L - p.tipRadius) {
+      const tr = Math.max(0.01, p.tipRadius);
+      const ratio = (x - (L - tr)) / tr;
+      const circ = hMax * Math.sqrt(Math.max(0, 1 - ratio * ratio));
+      w = Math.min(w, circ);
+    }
+    return w;
+  }
+};
+
+const PROFILE_STEPS = 160;
+
+/**
+ * Samples the half-width profile of the exposed blade into stations
+ * [{ x, h }] from the root (x = 0) to the tip (x = exposedLength).
+ * Stations are cosine-clustered so the steep tip and root regions keep
+ * their shape, and shape breakpoints are always included.
+ */
+const sampleProfile = (p, steps = PROFILE_STEPS) => {
+  const L = Math.max(0.1, p.exposedLength);
+  const xs = [];
+  for (let i = 0; i <= steps; i++) xs.push(L * (1 - Math.cos((Math.PI * i) / steps)) / 2);
+  if (p.tipStyle === 'leaf') xs.push(L * p.widthPosition);
+  else if (p.tipStyle === 'custom') p.customProfile.forEach(pt => xs.push(L * pt.t));
+  else if (p.tipRadius > 0 && p.tipRadius < L) xs.push(L - p.tipRadius);
+  xs.sort((a, b) => a - b);
+  const stations = [];
+  xs.forEach(x => {
+    if (stations.length && x - stations[stations.length - 1].x < 1e-9) return;
+    stations.push({ x, h: Math.max(0, getWidthAt(x, p)) });
+  });
+  return stations;
+};
+
+/**
+ * Cleans a list of custom control points: drops malformed entries, sorts
+ * by t, pins the ends to the root (t = 0) and tip (t = 1) and keeps the
+ * rest at least CUSTOM_MIN_GAP apart. Returns [] if fewer than two remain.
+ */
+const normalizeControlPoints = (list) => {
+  if (!Array.isArray(list)) return [];
+  const points = list
+    .filter(pt => pt && Number.isFinite(pt.t) && Number.isFinite(pt.h))
+    .map(pt => ({ t: Math.min(1, Math.max(0, pt.t)), h: Math.max(0, pt.h) }))
+    .sort((a, b) => a.t - b.t);
+  if (points.length < 2) return [];
+  const tip = points.pop();
+  const kept = points.reduce((acc, pt) => (!acc.length || (pt.t - acc[acc.length - 1].t >= CUSTOM_MIN_GAP && 1 - pt.t >= CUSTOM_MIN_GAP)) ? [...acc, pt] : acc, []);
+  return [{ ...kept[0], t: 0 }, ...kept.slice(1), { ...tip, t: 1 }];
+};
+
+/**
+ * Reduces stations [{ x, h }] spanning 0..length to the control points of
+ * a custom profile. Starting from the two ends, the station farthest from
+ * the spline through the points so far is added, until every station is
+ * within `tolerance` inches of it or there are `maxPoints`.
+ */
+const profileToControlPoints = (stations, length, { tolerance = 0.005, maxPoints = 16 } = {}) => {
+  const toPoint = (s) => ({ t: Math.round((s.x / length) * 1e4) / 1e4, h: Math.round(s.h * 1e4) / 1e4 });
+  let points = normalizeControlPoints([toPoint(stations[0]), toPoint(stations[stations.length - 1])]);
+  while (points.length < maxPoints) {
+    let worst = { error: tolerance, station: null };
+    stations.forEach(s => {
+      const error = Math.abs(s.h - customWidthAt(points, s.x / length));
+      if (error > worst.error && points.every(pt => Math.abs(pt.t - s.x / length) >= CUSTOM_MIN_GAP)) worst = { error, station: s };
+    });
+    if (!worst.station) break;
+    points = normalizeControlPoints([...points, toPoint(worst.station)]);
+  }
+  return points;
+};
+
+/**
+ * Integrates the tab rectangle plus the piecewise-linear profile exactly:
+ * area, first moment about the root line and second moment about the axle
+ * (radius hubR + x). Returns the same figures the polygon outline encloses.
+ * `chordInertia` is the second moment about the blade centerline and
+ * `dragMoment` is ∫ w·r³ dx over the exposed span (aerodynamic drag torque).
+ */
+const integrateProfile = (p, stations, hubR) => {
+  const tabArea = p.tabLength * p.tabWidth;
+  const hTab = p.tabWidth / 2;
+  const tabInnerR = hubR - p.tabLength;
+  let area = tabArea;
+  let firstMoment = (-p.tabLength / 2) * tabArea;
+  let momentOfInertia = (p.tabWidth * (Math.pow(hubR, 3) - Math.pow(tabInnerR, 3))) / 3;
+  let chordInertia = (p.tabLength * 2 * Math.pow(hTab, 3)) / 3;
+  let dragMoment = 0;
+  for (let i = 1; i < stations.length; i++) {
+    const a = stations[i - 1];
+    const b = stations[i];
+    const dx = b.x - a.x;
+    const wa = a.h * 2;
+    const wb = b.h * 2;
+    const wm = (wa + wb) / 2;
+    const ra = hubR + a.x;
+    const rb = hubR + b.x;
+    const rm = (ra + rb) / 2;
+    area += wm * dx;
+    firstMoment += (dx / 6) * (a.x * (2 * wa + wb) + b.x * (wa + 2 * wb));
+    // r² · w and h³ are cubic on the segment, so Simpson's rule is exact
+    momentOfInertia += (dx / 6) * (ra * ra * wa + 4 * rm * rm * wm + rb * rb * wb);
+    chordInertia += (dx / 6) * (2 / 3) * (Math.pow(a.h, 3) + 4 * Math.pow(wm / 2, 3) + Math.pow(b.h, 3));
+    dragMoment += (dx / 6) * (Math.pow(ra, 3) * wa + 4 * Math.pow(rm, 3) * wm + Math.pow(rb, 3) * wb);
+  }
+  return { area, firstMoment, momentOfInertia, chordInertia, dragMoment, cgX: firstMoment / Math.max(0.001, area) };
+};
+
+/**
+ * Reference integration of the analytic width function (composite Simpson
+ * at high resolution), used to report how faithful the sampled outline is.
+ */
+const integrateAnalytic = (p, intervals = 2000) => {
+  const L = Math.max(0.1, p.exposedLength);
+  const tabArea = p.tabLength * p.tabWidth;
+  const dx = L / intervals;
+  let area = 0;
+  let firstMoment = 0;
+  for (let i = 0; i <= intervals; i++) {
+    const x = i * dx;
+    const weight = (i === 0 || i === intervals) ? 1 : (i % 2 ? 4 : 2);
+    const w = getWidthAt(x, p) * 2;
+    area += weight * w;
+    firstMoment += weight * x * w;
+  }
+  area = (area * dx) / 3 + tabArea;
+  firstMoment = (firstMoment * dx) / 3 - (p.tabLength / 2) * tabArea;
+  return { area, cgX: firstMoment / Math.max(0.001, area) };
+};
+
+/**
+ * Closed outline polygon [{ x, y }] in inches: tab, upper edge root-to-tip,
+ * lower edge tip-to-root. The hub-side end of the tab sits at x = -tabLength.
+ * `kerf` offsets the outline outward by that distance (see offsetPolygon).
+ */
+const buildOutline = (p, stations, kerf = 0) => {
+  const hTab = p.tabWidth / 2;
+  const edge = stations.map(s => ({ x: s.x, y: s.h > 0 ? s.h : 0 }));
+  const points = [
+    { x: -p.tabLength, y: -hTab },
+    { x: -p.tabLength, y: hTab },
+    { x: 0, y: hTab },
+    ...edge,
+    ...edge.slice().reverse().map(s => ({ x: s.x, y: -s.y })),
+    { x: 0, y: -hTab },
+  ];
+  const outline = points.filter((pt, i) => {
+    const prev = points[(i + points.length - 1) % points.length];
+    return i === 0 || Math.abs(pt.x - prev.x) > 1e-9 || Math.abs(pt.y - prev.y) > 1e-9;
+  });
+  return kerf ? offsetPolygon(outline, kerf) : outline;
+};
+
+// Largest angle one arc segment of a rounded offset corner may turn
+const OFFSET_ARC_STEP = Math.PI / 18;
+
+/**
+ * Offsets a closed polygon by `distance` along its edge normals (outward
+ * when positive, whatever the winding). Corners that open up are joined
+ * with an arc, as a laser beam or cutter would round them; corners that
+ * close up take the intersection of the two offset edges. Short edges next
+ * to a step (the blade root meeting the wider tab) fold back on themselves
+ * when offset; those points are dropped.
+ */
+const offsetPolygon = (points, distance) => {
+  const n = points.length;
+  let twiceArea = 0;
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % n];
+    twiceArea += a.x * b.y - b.x * a.y;
+  });
+  const side = twiceArea >= 0 ? 1 : -1;
+  const normals = points.map((a, i) => {
+    const b = points[(i + 1) % n];
+    const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return { x: side * (b.y - a.y) / len, y: -side * (b.x - a.x) / len };
+  });
+
+  const result = [];
+  points.forEach((pt, i) => {
+    const n1 = normals[(i + n - 1) % n];
+    const n2 = normals[i];
+    const dot = n1.x * n2.x + n1.y * n2.y;
+    const sweep = Math.atan2(n1.x * n2.y - n1.y * n2.x, dot);
+    // Nearly straight corners (most of a sampled curve) don't need an arc
+    if (sweep * side * distance > 0 && Math.abs(sweep) > OFFSET_ARC_STEP / 4) {
+      const steps = Math.ceil(Math.abs(sweep) / OFFSET_ARC_STEP);
+      const start = Math.atan2(n1.y, n1.x);
+      for (let k = 0; k <= steps; k++) {
+        const angle = start + sweep * k / steps;
+        result.push({ x: pt.x + Math.cos(angle) * distance, y: pt.y + Math.sin(angle) * distance });
+      }
+    } else {
+      const miter = distance / Math.max(1 + dot, 1e-6);
+      result.push({ x: pt.x + (n1.x + n2.x) * miter, y: pt.y + (n1.y + n2.y) * miter });
+    }
+  });
+  // A true offset stays `distance` clear of every source edge; anything
+  // closer belongs to a fold-back loop. Anything farther is a miter that
+  // overshot the end of a short edge, at the bottom of a narrow notch.
+  const clearance = Math.abs(distance) * (1 - 1e-6);
+  const reach = (Math.abs(distance) / Math.cos(OFFSET_ARC_STEP / 8)) * (1 + 1e-6);
+  return result.filter(pt => {
+    const nearest = Math.min(...points.map((a, i) => pointSegmentDistance(pt, a, points[(i + 1) % n])));
+    return nearest >= clearance && nearest <= reach;
+  });
+};
+
+const pointSegmentDistance = (pt, a, b) => {
+  const dx = b.x - a.x; const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.min(1, Math.max(0, ((pt.x - a.x) * dx + (pt.y - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(pt.x - a.x - t * dx, pt.y - a.y - t * dy);
+};
+
+// Shoelace area and centroid of a closed polygon
+const polygonProperties = (points) => {
+  let twiceArea = 0;
+  let cx = 0;
+  let cy = 0;
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length];
+    const cross = a.x * b.y - b.x * a.y;
+    twiceArea += cross;
+    cx += (a.x + b.x) * cross;
+    cy += (a.y + b.y) * cross;
+  });
+  const area = twiceArea / 2;
+  return { area: Math.abs(area), cgX: cx / (6 * area || 1), cgY: cy / (6 * area || 1) };
+};
+
+const outlineBounds = (points) => points.reduce((b, pt) => ({
+  minX: Math.min(b.minX, pt.x), maxX: Math.max(b.maxX, pt.x),
+  minY: Math.min(b.minY, pt.y), maxY: Math.max(b.maxY, pt.y),
+}), { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity });
+
+const outlineToPath = (points, scale) => {
+  const digits = scale >= 10 ? 2 : 4;
+  return points.map((pt, i) => `${i ? 'L' : 'M'} ${(pt.x * scale).toFixed(digits)} ${(pt.y * scale).toFixed(digits)}`).join(' ') + ' Z';
+};
+
+// --- Physics Simulation ---
+// Flywheel ratings by coast time (seconds for a free-spinning rotor to lose
+// half its speed from COAST_REFERENCE_RPM), checked in order
+const FLYWHEEL_BANDS = [
+  { rating: 'Snappy', max: 1.2 },
+  { rating: 'Steady', max: 2.2 },
+  { rating: 'High Coast', max: Infinity },
+];
+
+const rateFlywheel = (score) => FLYWHEEL_BANDS.find(band => score <= band.max).rating;
+
+// Start-up sensitivity by cut-in wind speed (m/s), checked in order
+const SENSITIVITY_BANDS = [
+  { rating: 'High', max: 1.5 },
+  { rating: 'Moderate', max: 3 },
+  { rating: 'Low', max: Infinity },
+];
+
+// --- Aerodynamics ---
+// Simple flat-plate coefficients from the normal-force model Cn = 2·sin(α),
+// valid through stall, plus a small skin-friction drag term
+const flatPlateCoefficients = (alpha) => {
+  const cn = 2 * Math.sin(alpha);
+  return { cl: cn * Math.cos(alpha), cd: cn * Math.sin(alpha) + 0.02 };
+};
+
+/**
+ * Blade-element shaft torque (N·m) of the whole rotor at a wind speed (m/s)
+ * and rotor speed (rad/s). Each profile segment is a flat-plate element of
+ * chord 2·h at radius hubR + x; axial induction is ignored, which is fair
+ * for the lightly loaded start-up regime this is used for.
+ */
+const rotorTorque = (p, stations, windSpeed, omega) => {
+  const hubR = p.hubDiameter / 2;
+  const pitchRad = p.pitch * Math.PI / 180;
+  let torque = 0;
+  for (let i = 1; i < stations.length; i++) {
+    const a = stations[i - 1];
+    const b = stations[i];
+    const chord = (a.h + b.h) * IN_TO_M;
+    const r = (hubR + (a.x + b.x) / 2) * IN_TO_M;
+    const dr = (b.x - a.x) * IN_TO_M;
+    const tangential = omega * r;
+    const inflow = Math.atan2(windSpeed, tangential);
+    const { cl, cd } = flatPlateCoefficients(inflow - pitchRad);
+    const dynamicPressure = 0.5 * AIR_DENSITY * (windSpeed * windSpeed + tangential * tangential);
+    torque += dynamicPressure * chord * (cl * Math.sin(inflow) - cd * Math.cos(inflow)) * r * dr;
+  }
+  return torque * Math.max(1, Math.round(p.quantity));
+};
+
+/**
+ * Start-up estimate for the assembled rotor. At rest the torque scales with
+ * V², so the cut-in speed is where it first beats the friction torque.
+ * Above cut-in the free-running speed is where aerodynamic torque falls back
+ * to the friction torque, found by bisection.
+ */
+const operatingPoint = (p, stations, windSpeed) => {
+  const startingTorque = rotorTorque(p, stations, windSpeed, 0);
+  const tipRadius = (p.hubDiameter / 2 + p.exposedLength) * IN_TO_M;
+  if (windSpeed <= 0 || startingTorque <= p.frictionTorque) return { windSpeed, startingTorque, rpm: 0, tipSpeedRatio: 0 };
+  // Past this speed every element sees a negative angle of attack
+  let lo = 0;
+  let hi = (windSpeed / (Math.max(0.05, p.hubDiameter / 2) * IN_TO_M * Math.tan(Math.max(0.01, p.pitch * Math.PI / 180)))) * 1.01;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (rotorTorque(p, stations, windSpeed, mid) > p.frictionTorque) lo = mid; else hi = mid;
+  }
+  return { windSpeed, startingTorque, rpm: (lo * 60) / (Math.PI * 2), tipSpeedRatio: (lo * tipRadius) / windSpeed };
+};
+
+const analyzeAero = (p, stations, { windSpeed = 4, maxWindSpeed = 10, samples = 40 } = {}) => {
+  const unitTorque = rotorTorque(p, stations, 1, 0);
+  const cutInSpeed = unitTorque > 0 ? Math.sqrt(p.frictionTorque / unitTorque) : Infinity;
+  const curve = Array.from({ length: samples + 1 }, (_, i) => operatingPoint(p, stations, (maxWindSpeed * i) / samples));
+  return { cutInSpeed, curve, current: operatingPoint(p, stations, windSpeed) };
+};
+
+// Area, CG, mass, inertia and coast time of a blade: the figures the
+// balance solver scores, without the aerodynamic start-up estimate
+const massProperties = (p, stations) => {
+  const hubR = p.hubDiameter / 2;
+  const pitchRad = p.pitch * Math.PI / 180;
+  const profile = integrateProfile(p, stations, hubR);
+
+  const holeR = p.hasPinHole ? p.pinHoleSize / 2 : 0;
+  const holeArea = Math.PI * holeR * holeR;
+  const holeX = -p.pinHoleOffset;
+  const holeRadius = hubR + holeX;
+  const totalArea = profile.area - holeArea;
+  const cgX = (profile.firstMoment - holeArea * holeX) / Math.max(0.001, totalArea);
+  const cgPercent = (cgX / Math.max(0.001, p.exposedLength)) * 100;
+
+  // Pitching the blade tilts its chord out of the rotor plane, so chordwise
+  // material sits at distance y·cos(pitch) from the radial line
+  const areaInertia = profile.momentOfInertia + profile.chordInertia * Math.pow(Math.cos(pitchRad), 2)
+    - holeArea * (holeRadius * holeRadius + (holeR * holeR) / 2);
+
+  const arealDensity = p.density * p.thickness * IN_TO_M; // kg/m²
+  const mass = arealDensity * totalArea * IN_TO_M * IN_TO_M;
+  const momentOfInertia = arealDensity * areaInertia * Math.pow(IN_TO_M, 4);
+
+  // Quadratic air drag I·dω/dt = -k·ω² halves the speed after I / (k·ω0)
+  const dragCoefficient = 0.5 * AIR_DENSITY * flatPlateCoefficients(pitchRad).cd * profile.dragMoment * Math.pow(IN_TO_M, 5);
+  const referenceOmega = (COAST_REFERENCE_RPM * Math.PI * 2) / 60;
+  const flywheelScore = momentOfInertia / Math.max(1e-12, dragCoefficient * referenceOmega);
+  const flywheelRating = rateFlywheel(flywheelScore);
+
+  return {
+    cgX, cgPercent, flywheelScore, flywheelRating,
+    totalArea, areaInertia, arealDensity, mass, momentOfInertia,
+  };
+};
+
+/**
+ * Balance and momentum figures for a single blade. Pure: depends only on
+ * the params (and optionally an already-sampled profile of them).
+ * Cut-in speed and sensitivity are for the assembled rotor of `quantity` blades.
+ * Lengths are inches; mass is kg and inertia kg·m² about the axle. The pin
+ * hole is removed from the area, CG and inertia.
+ */
+const analyzeBlade = (p, stations = sampleProfile(p)) => {
+  const startingTorque = rotorTorque(p, stations, 1, 0);
+  const cutInSpeed = startingTorque > 0 ? Math.sqrt(p.frictionTorque / startingTorque) : Infinity;
+  const sensitivity = SENSITIVITY_BANDS.find(band => cutInSpeed <= band.max).rating;
+  return { ...massProperties(p, stations), sensitivity, cutInSpeed };
+};
+
+// --- Balance Solver ---
+// Free shape parameters per blade style. Bounds match the sidebar sliders;
+// a function bound is evaluated against the candidate being decoded.
+const SOLVER_VARIABLES = {
+  leaf: [
+    { key: 'widthPosition', min: 0.1, max: 0.9 },
+    { key: 'taperSharpness', min: 0, max: 1 },
+    { key: 'tipRadius', min: 0, max: 1 },
+  ],
+  rounded: [
+    { key: 'edgeCurvature', min: 0.2, max: 0.8 },
+    { key: 'tipRadius', min: 0, max: p => p.tipWidth / 2 },
+  ],
+};
+const SOLVER_TIP_WIDTH = { key: 'tipWidth', min: 0.5, max: 5 };
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+// Distances in the normalised search box: alternatives closer than
+// SOLVER_DISTINCT are the same answer, and a search that comes within
+// SOLVER_BASIN of an optimum already found is converging on it
+const SOLVER_DISTINCT = 0.2;
+const SOLVER_BASIN = 0.05;
+const SOLVER_MAX_ITERATIONS = 200;
+const SOLVER_CHUNK = 250;
+
+/**
+ * Searches the free shape parameters of `p` for designs whose CG lands on
+ * `targetCgPercent` (and, optionally, inside the flywheel band of
+ * `targetFlywheel`). Locked dimensions — exposed length, tab and root
+ * widths — are never changed; `tipWidth` is only varied when
+ * `freeTipWidth` is set. Deterministic: a coarse grid seeds a bounded
+ * pattern search. A generator that yields its progress (0–1) every few
+ * hundred evaluations, so callers can spread the work out, and returns
+ * { solutions, closest }: up to `count` distinct designs that meet the
+ * target, best first, and the best design found whether or not it meets
+ * it. Each is { changes, params, cgPercent, flywheelScore, flywheelRating, cost }.
+ * Custom profiles have no shape parameters to search: no solutions and a
+ * null `closest`.
+ */
+function* balanceSearch(p, { targetCgPercent = 38, targetFlywheel = null, freeTipWidth = false, count = 4 } = {}) {
+  const styleVars = SOLVER_VARIABLES[p.tipStyle];
+  if (!styleVars) return { solutions: [], closest: null };
+  const vars = [...(freeTipWidth ? [SOLVER_TIP_WIDTH] : []), ...styleVars];
+
+  const bandIndex = FLYWHEEL_BANDS.findIndex(band => band.rating === targetFlywheel);
+  const band = bandIndex < 0 ? null : { min: bandIndex ? FLYWHEEL_BANDS[bandIndex - 1].max : 0, max: FLYWHEEL_BANDS[bandIndex].max };
+
+  // Variables are searched in a normalised [0, 1] box; bounds may depend on earlier variables
+  const decode = (u) => vars.reduce((next, v, i) => {
+    const max = typeof v.max === 'function' ? v.max(next) : v.max;
+    return { ...next, [v.key]: v.min + (max - v.min) * u[i] };
+  }, { ...p });
+  const encode = (q) => {
+    let partial = { ...p };
+    return vars.map(v => {
+      const max = typeof v.max === 'function' ? v.max(partial) : v.max;
+      partial = { ...partial, [v.key]: q[v.key] };
+      return clamp01((q[v.key] - v.min) / Math.max(1e-9, max - v.min));
+    });
+  };
+
+  const origin = encode(p);
+  const evaluate = (u) => {
+    const q = decode(u);
+    const m = massProperties(q, sampleProfile(q));
+    const cgCost = Math.pow((m.cgPercent - targetCgPercent) / 0.5, 2);
+    let bandCost = 0;
+    if (band) {
+      // Aim slightly inside the band (seconds) so rounding doesn't tip the rating over an edge
+      const margin = 0.1;
+      const miss = Math.max(0, band.min + margin - m.flywheelScore, m.flywheelScore - (band.max - margin));
+      bandCost = Math.pow(miss / margin, 2);
+    }
+    // Small pull towards the current design so equal-quality answers change the least
+    const drift = u.reduce((sum, ui, i) => sum + Math.pow(ui - origin[i], 2), 0);
+    return { u, q, m, cost: cgCost + bandCost + drift * 0.01 };
+  };
+  const onTarget = ({ m }) => Math.abs(m.cgPercent - targetCgPercent) < 0.5
+    && (!band || (m.flywheelScore >= band.min && m.flywheelScore <= band.max));
+
+  // Coarse grid over the box, plus the current design
+  const gridSteps = vars.length > 3 ? 4 : 6;
+  const seeds = [evaluate(origin)];
+  const walk = (prefix) => {
+    if (prefix.length === vars.length) { seeds.push(evaluate(prefix)); return; }
+    for (let i = 0; i < gridSteps; i++) walk([...prefix, (i + 0.5) / gridSteps]);
+  };
+  walk([]);
+  seeds.sort((a, b) => a.cost - b.cost);
+
+  // Bounded compass search from the best few seeds. A search that wanders
+  // into the basin of an optimum already found would only find it again,
+  // so it is dropped there; so is one still crawling after SOLVER_MAX_ITERATIONS.
+  // Progress is yielded every SOLVER_CHUNK evaluations.
+  const distance = (a, b) => Math.sqrt(a.reduce((sum, ai, i) => sum + Math.pow(ai - b[i], 2), 0));
+  const starts = seeds.slice(0, count * 3);
+  const refined = [];
+  let evaluations = 0;
+  function* refine(start, index) {
+    let best = start;
+    let step = 0.5 / gridSteps;
+    for (let iteration = 0; step > 1e-3 && iteration < SOLVER_MAX_ITERATIONS; iteration++) {
+      if (refined.some(r => distance(r.u, best.u) < SOLVER_BASIN)) return null;
+      let improved = false;
+      for (let i = 0; i < vars.length; i++) {
+        for (const dir of [1, -1]) {
+          const u = best.u.slice();
+          u[i] = clamp01(u[i] + dir * step);
+          if (u[i] === best.u[i]) continue;
+          const candidate = evaluate(u);
+          evaluations++;
+          if (candidate.cost < best.cost) { best = candidate; improved = true; }
+        }
+      }
+      if (!improved) step /= 2;
+      if (evaluations >= SOLVER_CHUNK) {
+        evaluations = 0;
+        yield (index + iteration / SOLVER_MAX_ITERATIONS) / starts.length;
+      }
+    }
+    return best;
+  }
+
+  for (let i = 0; i < starts.length; i++) {
+    const optimum = yield* refine(starts[i], i);
+    if (optimum) refined.push(optimum);
+  }
+  refined.sort((a, b) => a.cost - b.cost);
+
+  const distinct = [];
+  refined.filter(onTarget).forEach(solution => {
+    const isNew = distinct.every(d => distance(d.u, solution.u) > SOLVER_DISTINCT);
+    if (isNew && distinct.length < count) distinct.push(solution);
+  });
+
+  const describe = ({ q, m, cost }) => {
+    const changes = {};
+    vars.forEach(v => { changes[v.key] = q[v.key]; });
+    return {
+      changes, params: q, cost,
+      cgPercent: m.cgPercent, flywheelScore: m.flywheelScore, flywheelRating: m.flywheelRating,
+    };
+  };
+  return { solutions: distinct.map(describe), closest: describe(refined[0]) };
+}
+
+// Runs the whole search at once
+const solveBalance = (p, options) => {
+  const search = balanceSearch(p, options);
+  let step = search.next();
+  while (!step.done) step = search.next();
+  return step.value;
+};
+
+// Runs the search a chunk at a time, handing the event loop back in between
+// so a page stays responsive; `onProgress` hears the fraction done. Aborting
+// `signal` (the design was edited) stops it at the next chunk and resolves null.
+const solveBalanceAsync = async (p, options, { onProgress, signal } = {}) => {
+  const search = balanceSearch(p, options);
+  let step = search.next();
+  while (!step.done) {
+    if (onProgress) onProgress(step.value);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (signal && signal.aborted) return null;
+    step = search.next();
+  }
+  return step.value;
+};
+
+// --- Parameter Sweep ---
+/**
+ * Steps one numeric param of `p` evenly from `from` to `to` (both ends
+ * included, `steps` intervals) with everything else held, and analyzes the
+ * blade at each value:
+ * [{ value, cgPercent, totalArea, momentOfInertia, flywheelScore, cutInSpeed }].
+ */
+const sweepParameter = (p, key, from, to, steps = 24) => {
+  if (typeof p[key] !== 'number') throw new Error(`Cannot sweep "${key}": not a numeric parameter.`);
+  const count = Math.max(1, Math.round(steps));
+  return Array.from({ length: count + 1 }, (_, i) => {
+    const value = from + ((to - from) * i) / count;
+    const blade = analyzeBlade({ ...p, [key]: value });
+    return {
+      value,
+      cgPercent: blade.cgPercent,
+      totalArea: blade.totalArea,
+      momentOfInertia: blade.momentOfInertia,
+      flywheelScore: blade.flywheelScore,
+      cutInSpeed: blade.cutInSpeed,
+    };
+  });
+};
+
+// --- Validation ---
+// Proper crossing of segments ab and cd; touching ends do not count
+const segmentsCross = (a, b, c, d) => {
+  const side = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+  const d1 = side(c, d, a); const d2 = side(c, d, b);
+  const d3 = side(a, b, c); const d4 = side(a, b, d);
+  if (!(((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0)))) return null;
+  const t = d1 / (d1 - d2);
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+};
+
+/**
+ * First point where a closed polygon's edges cross each other, or null.
+ * Edges that only touch at their ends are not counted.
+ */
+const findSelfIntersection = (points) => {
+  const n = points.length;
+  for (let i = 0; i < n; i++) {
+    const a = points[i]; const b = points[(i + 1) % n];
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;
+      const c = points[j]; const d = points[(j + 1) % n];
+      if (Math.max(a.x, b.x) < Math.min(c.x, d.x) || Math.max(c.x, d.x) < Math.min(a.x, b.x)
+        || Math.max(a.y, b.y) < Math.min(c.y, d.y) || Math.max(c.y, d.y) < Math.min(a.y, b.y)) continue;
+      const hit = segmentsCross(a, b, c, d);
+      if (hit) return hit;
+    }
+  }
+  return null;
+};
+
+// The blade tip may taper to a point; narrowing anywhere inboard of this
+// fraction of the exposed length is flagged
+const WEB_CHECK_SPAN = 0.9;
+
+/**
+ * Geometric and manufacturing checks on a design. Returns
+ * [{ id, severity, message, at }]: 'error' for a part that cannot be made
+ * as drawn, 'warning' for one likely to break or misfit. `at` is the point
+ * { x, y } in blade inches the issue concerns, or null. `formatLength`
+ * renders lengths in messages.
+ */
+const validateDesign = (p, stations = sampleProfile(p), { formatLength = (v) => `${v.toFixed(3)}in` } = {}) => {
+  const issues = [];
+  const add = (id, severity, message, at = null) => issues.push({ id, severity, message, at });
+
+  const required = { exposedLength: 'Exposed length', tabLength: 'Tab length', tabWidth: 'Tab width', thickness: 'Material thickness' };
+  Object.entries(required).forEach(([key, label]) => {
+    if (!(p[key] > 0)) add(`${key}-zero`, 'error', `${label} must be greater than zero.`);
+  });
+  if (issues.length) return issues;
+
+  const material = MATERIALS[p.material];
+  const minWeb = material && material.minWeb ? material.minWeb : p.thickness;
+  const materialName = material && p.material !== 'custom' ? material.label : 'this material';
+
+  if (p.hasPinHole) {
+    const r = p.pinHoleSize / 2;
+    const hole = { x: -p.pinHoleOffset, y: 0 };
+    const sideWeb = (p.tabWidth - p.pinHoleSize) / 2;
+    const endWeb = p.tabLength - p.pinHoleOffset - r;
+    if (!(r > 0)) {
+      add('pin-hole-size', 'error', 'Pin hole diameter must be greater than zero.', hole);
+    } else if (sideWeb <= 0) {
+      add('pin-hole-width', 'error', 'Pin hole is as wide as the tab or wider.', hole);
+    } else if (sideWeb < minWeb) {
+      add('pin-hole-web', 'warning', `Only ${formatLength(sideWeb)} of material beside the pin hole; ${materialName} needs ${formatLength(minWeb)}.`, { x: hole.x, y: -(r + sideWeb / 2) });
+    }
+    if (r > 0 && endWeb <= 0) {
+      add('pin-hole-offset', 'error', 'Pin hole runs off the end of the tab.', hole);
+    } else if (r > 0 && endWeb < minWeb) {
+      add('pin-hole-end-web', 'warning', `Only ${formatLength(endWeb)} of material between the pin hole and the tab end; ${materialName} needs ${formatLength(minWeb)}.`, { x: -p.tabLength + endWeb / 2, y: 0 });
+    }
+    if (r > 0 && p.pinHoleOffset < r) {
+      add('pin-hole-root', 'warning', 'Pin hole reaches past the root into the exposed blade, outside the hub.', hole);
+    }
+    if (r > 0 && p.kerfOffset >= r) {
+      add('pin-hole-kerf', 'error', 'Kerf offset closes the pin hole; it would not be cut.', hole);
+    }
+  }
+
+  if (p.tipStyle === 'rounded' && p.tipRadius > p.tipWidth / 2) {
+    add('tip-radius', 'error', 'Tip radius is more than half the end width.', { x: p.exposedLength, y: 0 });
+  }
+
+  const narrowest = stations
+    .filter(st => st.x <= p.exposedLength * WEB_CHECK_SPAN)
+    .reduce((min, st) => (!min || st.h < min.h ? st : min), null);
+  if (narrowest && narrowest.h * 2 < minWeb) {
+    const pct = (narrowest.x / p.exposedLength) * 100;
+    add('blade-web', 'warning', `Blade narrows to ${formatLength(narrowest.h * 2)} at ${pct.toFixed(0)}% of its length; ${materialName} needs ${formatLength(minWeb)}.`, { x: narrowest.x, y: 0 });
+  }
+
+  // Checked on the kerf-offset path, since that is the one the cutter follows
+  const crossing = findSelfIntersection(buildOutline(p, stations, p.kerfOffset));
+  if (crossing) add('self-intersection', 'error', 'The cut outline crosses itself.', crossing);
+
+  return issues;
+};
+
+// --- Design Presets (Calibrated for the 35-42% Balance Range) ---
+const PRESETS = {
+  leaf: {
+    rootWidth: 1.75,     
+    tipWidth: 2.5,      
+    tipRadius: 0.65,    
+    widthPosition: 0.6, 
+    taperSharpness: 0.4,
+    edgeCurvature: 0.5,
+  },
+  rounded: {
+    rootWidth: 2.5,     
+    tipWidth: 1.25,     
+    tipRadius: 0.5,     
+    widthPosition: 0.5,
+    taperSharpness: 0.5,
+    edgeCurvature: 0.38, 
+  },
+  // Custom blades are shaped by params.customProfile rather than a preset
+  custom: {},
+};
+
+const DEFAULT_PARAMS = {
+  exposedLength: 10.5,
+  tabLength: 1.0,
+  tabWidth: 2.25,
+  ...PRESETS.leaf,
+  kerfOffset: 0.005,
+  tipStyle: 'leaf',
+  quantity: 5,
+  hasPinHole: true,
+  pinHoleSize: 0.125,
+  pinHoleOffset: 0.5,
+  offSpecTolerance: 0.01,
+  material: 'plywood',
+  density: MATERIALS.plywood.density,
+  thickness: MATERIALS.plywood.thickness,
+  pitch: DEFAULT_PITCH,
+  hubDiameter: DEFAULT_HUB_DIAMETER,
+  frictionTorque: DEFAULT_FRICTION_TORQUE,
+  sheetWidth: 24,
+  sheetHeight: 12,
+  sheetMargin: 0.25,
+  partSpacing: 0.125,
+  spares: 1,
+  boreDiameter: 0.25,
+  printClearance: 0.008,
+  // Custom control points [{ t, h }]: t along the exposed length from root
+  // (0) to tip (1), h the half-width in inches. Traced from the current
+  // shape the first time Custom is chosen.
+  customProfile: [],
+};
+
+// --- Design Format ---
+// Saved designs are versioned JSON: { format, version, name, unit, style, params }.
+// `style` carries params.tipStyle; every other param is stored in inches/SI as
+// held in state (customProfile t values are fractions of the exposed length).
+// Bump DESIGN_VERSION whenever params are added or change meaning, and add a
+// migration from the previous version.
+const DESIGN_FORMAT = 'whirligig-blade-design';
+const DESIGN_VERSION = 6;
+
+// MIGRATIONS[n] upgrades a version-n design to version n + 1
+const MIGRATIONS = {
+  // v2: material library and cut tolerance
+  1: (design) => ({
+    ...design,
+    version: 2,
+    params: {
+      offSpecTolerance: 0.01,
+      material: 'plywood',
+      density: MATERIALS.plywood.density,
+      thickness: MATERIALS.plywood.thickness,
+      ...design.params,
+    },
+  }),
+  // v3: pitch, hub diameter and drive friction became design inputs
+  2: (design) => ({
+    ...design,
+    version: 3,
+    params: {
+      pitch: DEFAULT_PITCH,
+      hubDiameter: DEFAULT_HUB_DIAMETER,
+      frictionTorque: DEFAULT_FRICTION_TORQUE,
+      ...design.params,
+    },
+  }),
+  // v4: stock sheet and spares for the cut-sheet layout
+  3: (design) => ({
+    ...design,
+    version: 4,
+    params: {
+      sheetWidth: 24,
+      sheetHeight: 12,
+      sheetMargin: 0.25,
+      partSpacing: 0.125,
+      spares: 1,
+      ...design.params,
+    },
+  }),
+  // v5: shaft bore and print clearance for the hub generator
+  4: (design) => ({
+    ...design,
+    version: 5,
+    params: {
+      boreDiameter: 0.25,
+      printClearance: 0.008,
+      ...design.params,
+    },
+  }),
+  // v6: control points for the custom profile style
+  5: (design) => ({
+    ...design,
+    version: 6,
+    params: {
+      customProfile: [],
+      ...design.params,
+    },
+  }),
+};
+
+const createDesign = (params, unit, name = 'Untitled Blade') => {
+  const { tipStyle, ...rest } = params;
+  return { format: DESIGN_FORMAT, version: DESIGN_VERSION, name, unit, style: tipStyle, params: rest };
+};
+
+/**
+ * Reads a design from JSON text or an already-parsed object, migrating it
+ * to the current version. Unknown params are dropped and missing or
+ * malformed ones fall back to DEFAULT_PARAMS. Throws on anything that is
+ * not a design file or was written by a newer version of the app.
+ */
+const parseDesign = (input) => {
+  let design = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!design || design.format !== DESIGN_FORMAT) throw new Error('Not a whirligig blade design file.');
+  const version = Number(design.version) || 1;
+  if (version > DESIGN_VERSION) throw new Error(`Design was saved by a newer version (v${version}).`);
+  for (let v = version; v < DESIGN_VERSION; v++) design = MIGRATIONS[v](design);
+
+  const stored = { ...(design.params || {}), tipStyle: design.style };
+  const params = {};
+  Object.keys(DEFAULT_PARAMS).forEach(key => {
+    const fallback = DEFAULT_PARAMS[key];
+    const val = stored[key];
+    if (key === 'customProfile') params[key] = normalizeControlPoints(val);
+    else if (typeof fallback === 'number') params[key] = Number.isFinite(val) ? val : fallback;
+    else params[key] = typeof val === typeof fallback ? val : fallback;
+  });
+  if (!PRESETS[params.tipStyle]) params.tipStyle = DEFAULT_PARAMS.tipStyle;
+  if (params.tipStyle === 'custom' && !params.customProfile.length) params.tipStyle = DEFAULT_PARAMS.tipStyle;
+  return {
+    name: typeof design.name === 'string' ? design.name : 'Untitled Blade',
+    unit: design.unit === 'metric' ? 'metric' : 'imperial',
+    params,
+  };
+};
+
+// URL-safe base64 of the UTF-8 JSON, for sharing a design in the link hash
+const encodeDesignHash = (design) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(design));
+  const binary = Array.from(bytes, b => String.fromCharCode(b)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodeDesignHash = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return parseDesign(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+};
+
+/**
+ * The design to open on page load: one shared in the location hash
+ * ("#design=...") wins over the autosaved working copy (a design JSON
+ * string, or null). Returns { design, error }: `design` is null when
+ * neither opens, and `error` says what could not be read. A broken link
+ * falls back to the autosave rather than the defaults, which the page
+ * would otherwise autosave over it. The page clears the hash once it has
+ * been read, so later loads get the autosave.
+ */
+const resolveInitialDesign = (hash, saved) => {
+  const match = hash.match(/design=([\w-]+)/);
+  let linkError = null;
+  if (match) {
+    try {
+      return { design: decodeDesignHash(match[1]), error: null };
+    } catch (err) {
+      linkError = `Could not open the shared link: ${err.message}`;
+    }
+  }
+  if (!saved) return { design: null, error: linkError };
+  try {
+    const design = parseDesign(saved);
+    return { design, error: linkError && `${linkError} Your autosaved design was opened instead.` };
+  } catch (err) {
+    const savedError = `Could not open the autosaved design: ${err.message}`;
+    return { design: null, error: linkError ? `${linkError} ${savedError}` : savedError };
+  }
+};
+
+export {
+  DEFAULT_PITCH, DEFAULT_HUB_DIAMETER, DEFAULT_FRICTION_TORQUE, SWEET_SPOT,
+  IN_TO_MM, IN_TO_M, AIR_DENSITY, COAST_REFERENCE_RPM, KG_TO_OZ, KGM2_TO_LBIN2,
+  MPS_TO_MPH, NM_TO_OZIN, unitFormatters, MATERIALS,
+  CUSTOM_MIN_GAP, customWidthAt, getWidthAt, PROFILE_STEPS, sampleProfile,
+  normalizeControlPoints, profileToControlPoints, integrateProfile,
+  integrateAnalytic, buildOutline, offsetPolygon, polygonProperties, outlineBounds,
+  outlineToPath, FLYWHEEL_BANDS, SENSITIVITY_BANDS, rateFlywheel,
+  flatPlateCoefficients, rotorTorque, operatingPoint, analyzeAero,
+  analyzeBlade, solveBalance, solveBalanceAsync, sweepParameter, findSelfIntersection,
+  validateDesign, PRESETS, DEFAULT_PARAMS, DESIGN_FORMAT, DESIGN_VERSION,
+  createDesign, parseDesign, encodeDesignHash, decodeDesignHash, resolveInitialDesign,
+};
@@ -0,0 +1,401 @@
+/**
+ * Cut-file exporters: laser SVG, DXF, tiled PDF and nested cut sheets,
+ * built from the engine's outline. Each returns a string (or byte array)
+ * so callers decide whether to download it or write it to disk.
+ */
+import { IN_TO_MM, buildOutline, polygonProperties, outlineBounds, outlineToPath } from './blade-engine.js';
+
+// Kerf offset per side in inches: half the kerf width for a beam or jet,
+// the tool radius for a router bit
+const KERF_PRESETS = {
+  none: { label: 'None (hand cut)', offset: 0 },
+  co2: { label: 'CO₂ Laser', offset: 0.004 },
+  diode: { label: 'Diode Laser', offset: 0.003 },
+  waterjet: { label: 'Waterjet', offset: 0.018 },
+  router16: { label: 'Router, 1/16" Bit', offset: 0.03125 },
+  router8: { label: 'Router, 1/8" Bit', offset: 0.0625 },
+};
+
+// --- Cut Files ---
+// Exporters share one description of what gets cut: closed polylines and
+// circles in inches (y down, as drawn on screen), each on a named layer.
+const bladeCutGeometry = (p, stations, kerf = 0) => ({
+  polylines: [{ layer: 'OUTLINE', points: buildOutline(p, stations, kerf) }],
+  circles: p.hasPinHole ? [{ layer: 'PINHOLE', cx: -p.pinHoleOffset, cy: 0, r: cutHoleRadius(p, kerf) }] : [],
+});
+
+// Holes are cut from the inside, so the kerf moves their cut line inward
+const cutHoleRadius = (p, kerf = 0) => Math.max(0, p.pinHoleSize / 2 - kerf);
+
+/**
+ * Single-blade laser template: the kerf-offset outline in black and the pin
+ * hole in red, drawn at 1 user unit per inch with a half-inch border.
+ */
+const buildTemplateSVG = (p, stations, kerf = p.kerfOffset) => {
+  const maxW = p.exposedLength + p.tabLength;
+  const maxH = 2 * Math.max(p.tabWidth / 2, ...stations.map(st => st.h));
+  const physicalWidth = maxW + 1.0;
+  const physicalHeight = maxH + 1.0;
+  const svgHeader = `<svg xmlns="http://www.w3.org/2000/svg" width="${physicalWidth}in" height="${physicalHeight}in" viewBox="0 0 ${physicalWidth} ${physicalHeight}">`;
+  const yOff = (maxH / 2) + 0.5;
+  const xOff = p.tabLength + 0.5;
+  const pathData = outlineToPath(buildOutline(p, stations, kerf), 1);
+  let content = `<path d="${pathData}" transform="translate(${xOff}, ${yOff})" fill="none" stroke="black" stroke-width="0.01" />`;
+  if (p.hasPinHole) {
+    content += `<circle cx="${xOff - p.pinHoleOffset}" cy="${yOff}" r="${cutHoleRadius(p, kerf)}" fill="none" stroke="red" stroke-width="0.01" />`;
+  }
+  return svgHeader + content + '</svg>';
+};
+
+// Rotates by `angle` degrees (clockwise on screen, as SVG rotate()) and then
+// translates, so a placement maps to `translate(x y) rotate(angle)`
+const placeGeometry = (geometry, { x = 0, y = 0, angle = 0 }) => {
+  const rad = angle * Math.PI / 180;
+  const cos = Math.round(Math.cos(rad) * 1e12) / 1e12;
+  const sin = Math.round(Math.sin(rad) * 1e12) / 1e12;
+  const move = (px, py) => ({ x: x + px * cos - py * sin, y: y + px * sin + py * cos });
+  return {
+    polylines: geometry.polylines.map(pl => ({ ...pl, points: pl.points.map(pt => move(pt.x, pt.y)) })),
+    circles: geometry.circles.map(c => {
+      const center = move(c.cx, c.cy);
+      return { ...c, cx: center.x, cy: center.y };
+    }),
+  };
+};
+
+const mergeGeometry = (list) => ({
+  polylines: list.flatMap(g => g.polylines),
+  circles: list.flatMap(g => g.circles),
+});
+
+const geometryBounds = (geometry) => {
+  const points = [
+    ...geometry.polylines.flatMap(pl => pl.points),
+    ...geometry.circles.flatMap(c => [{ x: c.cx - c.r, y: c.cy - c.r }, { x: c.cx + c.r, y: c.cy + c.r }]),
+  ];
+  return outlineBounds(points);
+};
+
+// AutoCAD colour index per layer
+const DXF_LAYER_COLORS = { OUTLINE: 7, PINHOLE: 1 };
+
+/**
+ * AutoCAD R12 ASCII DXF. Coordinates are written in the chosen unit with
+ * y flipped to CAD's y-up convention; outlines become closed POLYLINEs and
+ * holes CIRCLEs, each on its own layer. R12 has no insertion-units variable,
+ * so the unit is flagged with $MEASUREMENT (0 inches, 1 millimetres).
+ */
+const buildDXF = (geometry, unit = 'imperial') => {
+  const k = unit === 'metric' ? IN_TO_MM : 1;
+  const num = (v) => (v * k).toFixed(4);
+  const out = [];
+  const pair = (code, value) => out.push(String(code), String(value));
+  const layers = [...new Set([...geometry.polylines, ...geometry.circles].map(e => e.layer))];
+  const bounds = geometryBounds(geometry);
+
+  pair(0, 'SECTION'); pair(2, 'HEADER');
+  pair(9, '$ACADVER'); pair(1, 'AC1009');
+  pair(9, '$MEASUREMENT'); pair(70, unit === 'metric' ? 1 : 0);
+  pair(9, '$EXTMIN'); pair(10, num(bounds.minX)); pair(20, num(-bounds.maxY)); pair(30, 0);
+  pair(9, '$EXTMAX'); pair(10, num(bounds.maxX)); pair(20, num(-bounds.minY)); pair(30, 0);
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION'); pair(2, 'TABLES');
+  pair(0, 'TABLE'); pair(2, 'LTYPE'); pair(70, 1);
+  pair(0, 'LTYPE'); pair(2, 'CONTINUOUS'); pair(70, 0); pair(3, 'Solid line'); pair(72, 65); pair(73, 0); pair(40, '0.0');
+  pair(0, 'ENDTAB');
+  pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, layers.length);
+  layers.forEach(layer => {
+    pair(0, 'LAYER'); pair(2, layer); pair(70, 0); pair(62, DXF_LAYER_COLORS[layer] || 7); pair(6, 'CONTINUOUS');
+  });
+  pair(0, 'ENDTAB');
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION'); pair(2, 'ENTITIES');
+  geometry.polylines.forEach(({ layer, points }) => {
+    pair(0, 'POLYLINE'); pair(8, layer); pair(66, 1); pair(70, 1); pair(10, '0.0'); pair(20, '0.0'); pair(30, '0.0');
+    points.forEach(pt => {
+      pair(0, 'VERTEX'); pair(8, layer); pair(10, num(pt.x)); pair(20, num(-pt.y)); pair(30, '0.0');
+    });
+    pair(0, 'SEQEND'); pair(8, layer);
+  });
+  geometry.circles.forEach(({ layer, cx, cy, r }) => {
+    pair(0, 'CIRCLE'); pair(8, layer); pair(10, num(cx)); pair(20, num(-cy)); pair(30, '0.0'); pair(40, num(r));
+  });
+  pair(0, 'ENDSEC');
+  pair(0, 'EOF');
+  return out.join('\n') + '\n';
+};
+
+// --- Cut Sheet Nesting ---
+const NEST_STEP = 0.02; // inches between envelope samples
+
+/**
+ * Half-height of a centerline-symmetric outline over cells `step` wide
+ * along x (cell k is centred on x0 + k * step), dilated by `radius`: two
+ * parts whose envelopes don't overlap are at least 2 * radius apart. Each
+ * cell takes the widest point inside it and cells are treated as touching,
+ * so the envelope errs on the generous side. Empty cells are -Infinity.
+ */
+const outlineEnvelope = (points, step, radius) => {
+  const bounds = outlineBounds(points);
+  const reach = Math.ceil(radius / step) + 1;
+  const x0 = bounds.minX - reach * step;
+  const n = Math.ceil((bounds.maxX - x0) / step) + reach + 1;
+  const raw = new Array(n).fill(-Infinity);
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length];
+    const left = Math.min(a.x, b.x);
+    const right = Math.max(a.x, b.x);
+    const yAt = (x) => Math.abs(a.x === b.x ? Math.max(Math.abs(a.y), Math.abs(b.y)) : a.y + (x - a.x) / (b.x - a.x) * (b.y - a.y));
+    for (let k = Math.round((left - x0) / step); k <= Math.round((right - x0) / step); k++) {
+      const from = Math.max(left, x0 + (k - 0.5) * step);
+      const to = Math.min(right, x0 + (k + 0.5) * step);
+      raw[k] = Math.max(raw[k], yAt(from), yAt(to));
+    }
+  });
+  const values = raw.map((_, i) => {
+    let best = -Infinity;
+    for (let j = Math.max(0, i - reach); j <= Math.min(n - 1, i + reach); j++) {
+      const dx = Math.max(0, Math.abs(j - i) - 1) * step;
+      if (raw[j] > -Infinity && dx <= radius) best = Math.max(best, raw[j] + Math.sqrt(radius * radius - dx * dx));
+    }
+    return best;
+  });
+  return { x0, step, values };
+};
+
+/**
+ * Packs one blade outline into a width x height area as columns of blades
+ * lying along x, alternating 0° and 180° so each tip sits beside the
+ * neighbouring root. Every horizontal shift between the two orientations is
+ * tried; the one that fits the most parts wins. Returns per-part
+ * placements { x, y, angle } for the blade origin, in layout order.
+ */
+const nestStrip = (outline, envelope, width, height, spacing) => {
+  const bounds = outlineBounds(outline);
+  const halfHeight = Math.max(-bounds.minY, bounds.maxY);
+  const span = bounds.maxX - bounds.minX;
+  const { x0, step, values } = envelope;
+  const n = values.length;
+  const widest = Math.max(...values);
+  if (span > width + 1e-9 || 2 * halfHeight > height + 1e-9) return [];
+
+  let best = null;
+  const maxShift = Math.floor((width - span) / step) + 1;
+  for (let j = -maxShift; j <= maxShift; j++) {
+    // The flipped blade's origin sits at c; its envelope at column i is values[n - 1 + j - i]
+    const c = 2 * x0 + (n - 1 + j) * step;
+    const unionMin = Math.min(bounds.minX, c - bounds.maxX);
+    const colWidth = Math.max(bounds.maxX, c - bounds.minX) - unionMin;
+    if (colWidth > width + 1e-9) continue;
+    // Parts two rows apart share an orientation, so the pitch can't drop below the widest half
+    let pitch = widest;
+    for (let i = 0; i < n; i++) {
+      const k = n - 1 + j - i;
+      if (k >= 0 && k < n && values[i] > -Infinity && values[k] > -Infinity) pitch = Math.max(pitch, values[i] + values[k]);
+    }
+    const cols = Math.floor((width + spacing + 1e-9) / (colWidth + spacing));
+    const rows = Math.floor((height - 2 * halfHeight + 1e-9) / pitch) + 1;
+    const fit = cols * rows;
+    if (!best || fit > best.fit || (fit === best.fit && colWidth * pitch < best.colWidth * best.pitch)) {
+      best = { fit, cols, rows, pitch, c, unionMin, colWidth };
+    }
+  }
+  if (!best) return [];
+
+  const placements = [];
+  for (let col = 0; col < best.cols; col++) {
+    const originX = col * (best.colWidth + spacing) - best.unionMin;
+    for (let row = 0; row < best.rows; row++) {
+      const y = halfHeight + row * best.pitch;
+      placements.push(row % 2 ? { x: originX + best.c, y, angle: 180 } : { x: originX, y, angle: 0 });
+    }
+  }
+  return placements;
+};
+
+/**
+ * Lays out p.quantity + p.spares blades (kerf applied) on stock sheets of
+ * p.sheetWidth x p.sheetHeight inside p.sheetMargin, keeping p.partSpacing
+ * between parts. Blades run along whichever sheet side fits more of them.
+ * Returns the placements per sheet, the blade's cut geometry, the sheet
+ * size and the material utilization (part area over sheet area).
+ */
+const layoutCutSheets = (p, stations, kerf = p.kerfOffset) => {
+  const geometry = bladeCutGeometry(p, stations, kerf);
+  const outline = geometry.polylines[0].points;
+  const count = p.quantity + p.spares;
+  const usableW = p.sheetWidth - 2 * p.sheetMargin;
+  const usableH = p.sheetHeight - 2 * p.sheetMargin;
+  const envelope = outlineEnvelope(outline, NEST_STEP, p.partSpacing / 2);
+
+  const along = nestStrip(outline, envelope, usableW, usableH, p.partSpacing);
+  // Blades along the sheet height: lay out in the transposed frame, then turn
+  // it 90° and pull it back against the left margin
+  const transposed = nestStrip(outline, envelope, usableH, usableW, p.partSpacing);
+  const bounds = outlineBounds(outline);
+  const extent = Math.max(0, ...transposed.map(pl => pl.y)) + Math.max(-bounds.minY, bounds.maxY);
+  const across = transposed.map(pl => ({ x: extent - pl.y, y: pl.x, angle: pl.angle + 90 }));
+  const perSheetLayout = (across.length > along.length ? across : along)
+    .map(pl => ({ ...pl, x: pl.x + p.sheetMargin, y: pl.y + p.sheetMargin }));
+
+  const perSheet = perSheetLayout.length;
+  const sheetCount = perSheet ? Math.ceil(count / perSheet) : 0;
+  const sheets = Array.from({ length: sheetCount }, (_, i) => perSheetLayout.slice(0, Math.min(perSheet, count - i * perSheet)));
+  const partArea = polygonProperties(outline).area - geometry.circles.reduce((sum, c) => sum + Math.PI * c.r * c.r, 0);
+  const sheetArea = p.sheetWidth * p.sheetHeight;
+  return {
+    geometry,
+    sheetWidth: p.sheetWidth,
+    sheetHeight: p.sheetHeight,
+    count,
+    perSheet,
+    sheetCount,
+    sheets,
+    sheetUtilization: sheets.map(parts => parts.length * partArea / sheetArea),
+    utilization: sheetCount ? count * partArea / (sheetCount * sheetArea) : 0,
+  };
+};
+
+// Every blade on sheet `index` of a layout, placed, as one cut geometry
+const cutSheetGeometry = (layout, index) => mergeGeometry(layout.sheets[index].map(pl => placeGeometry(layout.geometry, pl)));
+
+const SVG_LAYER_STROKES = { OUTLINE: 'black', PINHOLE: 'red' };
+
+/**
+ * One stock sheet of a layout as an SVG at 1 user unit per inch, sized to
+ * the sheet. Each blade is the shared cut geometry in a translated and
+ * rotated group, stroked like the single-blade template.
+ */
+const buildCutSheetSVG = (layout, index) => {
+  const stroke = (layer) => `fill="none" stroke="${SVG_LAYER_STROKES[layer] || 'black'}" stroke-width="0.01"`;
+  const part = [
+    ...layout.geometry.polylines.map(pl => `<path d="${outlineToPath(pl.points, 1)}" ${stroke(pl.layer)} />`),
+    ...layout.geometry.circles.map(c => `<circle cx="${c.cx}" cy="${c.cy}" r="${c.r}" ${stroke(c.layer)} />`),
+  ].join('');
+  const content = layout.sheets[index]
+    .map(pl => `<g transform="translate(${pl.x.toFixed(4)} ${pl.y.toFixed(4)}) rotate(${pl.angle})">${part}</g>`)
+    .join('');
+  const { sheetWidth: w, sheetHeight: h } = layout;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}in" height="${h}in" viewBox="0 0 ${w} ${h}">${content}</svg>`;
+};
+
+// Paper sizes in inches (portrait)
+const PAPER_SIZES = {
+  letter: { label: 'Letter', width: 8.5, height: 11 },
+  a4: { label: 'A4', width: 210 / IN_TO_MM, height: 297 / IN_TO_MM },
+};
+
+// PDF text strings are Latin-1 with ( ) \ escaped
+const pdfText = (text) => text.replace(/[^\x20-\x7e]/g, '?').replace(/([()\\])/g, '\\$1');
+
+/**
+ * Vector PDF of the geometry at 1:1 scale, tiled across as many pages as it
+ * needs. Neighbouring tiles overlap by `overlap` inches; crosshair alignment
+ * marks sit on the tile grid corners (so each mark prints on every page that
+ * shares it) and a dashed line shows where the next page begins. Every page
+ * carries a page number and a scale bar for checking print scaling.
+ */
+const buildTiledPDF = (geometry, { paper = 'letter', unit = 'imperial', title = 'Whirligig Blade', margin = 0.5, overlap = 0.5 } = {}) => {
+  const PT = 72;
+  const bounds = geometryBounds(geometry);
+  const pad = 0.25;
+  const drawW = bounds.maxX - bounds.minX + pad * 2;
+  const drawH = bounds.maxY - bounds.minY + pad * 2;
+
+  // Pick the orientation that needs fewer pages
+  const size = PAPER_SIZES[paper] || PAPER_SIZES.letter;
+  const layout = [[size.width, size.height], [size.height, size.width]].map(([pageW, pageH]) => {
+    const printW = pageW - margin * 2;
+    const printH = pageH - margin * 2;
+    const cols = Math.max(1, Math.ceil((drawW - overlap) / (printW - overlap)));
+    const rows = Math.max(1, Math.ceil((drawH - overlap) / (printH - overlap)));
+    return { pageW, pageH, printW, printH, cols, rows };
+  }).sort((a, b) => a.cols * a.rows - b.cols * b.rows)[0];
+  const { pageW, pageH, printW, printH, cols, rows } = layout;
+  const stepX = printW - overlap;
+  const stepY = printH - overlap;
+  const pageCount = cols * rows;
+  const f = (v) => v.toFixed(2);
+
+  const pageStream = (col, row) => {
+    const x0 = bounds.minX - pad + col * stepX;
+    const y0 = bounds.minY - pad + row * stepY;
+    // Design inches (y down) to page points (y up)
+    const tx = (x) => (margin + (x - x0)) * PT;
+    const ty = (y) => (pageH - margin - (y - y0)) * PT;
+    const ops = [];
+    ops.push('q', `${f(margin * PT)} ${f(margin * PT)} ${f(printW * PT)} ${f(printH * PT)} re W n`);
+    ops.push('0 0 0 RG 0.7 w');
+    geometry.polylines.forEach(({ points }) => {
+      ops.push(points.map((pt, i) => `${f(tx(pt.x))} ${f(ty(pt.y))} ${i ? 'l' : 'm'}`).join('\n'), 'h S');
+    });
+    ops.push('1 0 0 RG');
+    geometry.circles.forEach(({ cx, cy, r }) => {
+      // Four cubic arcs; 0.5523 is the standard circle control-point ratio
+      const x = tx(cx); const y = ty(cy); const rr = r * PT; const c = rr * 0.5523;
+      ops.push(`${f(x + rr)} ${f(y)} m`,
+        `${f(x + rr)} ${f(y + c)} ${f(x + c)} ${f(y + rr)} ${f(x)} ${f(y + rr)} c`,
+        `${f(x - c)} ${f(y + rr)} ${f(x - rr)} ${f(y + c)} ${f(x - rr)} ${f(y)} c`,
+        `${f(x - rr)} ${f(y - c)} ${f(x - c)} ${f(y - rr)} ${f(x)} ${f(y - rr)} c`,
+        `${f(x + c)} ${f(y - rr)} ${f(x + rr)} ${f(y - c)} ${f(x + rr)} ${f(y)} c`, 'S');
+    });
+    // Overlap boundary: the next tile starts here
+    ops.push('0.6 G 0.5 w [4 4] 0 d');
+    if (col < cols - 1) ops.push(`${f(tx(x0 + stepX))} ${f(margin * PT)} m ${f(tx(x0 + stepX))} ${f((pageH - margin) * PT)} l S`);
+    if (row < rows - 1) ops.push(`${f(margin * PT)} ${f(ty(y0 + stepY))} m ${f((pageW - margin) * PT)} ${f(ty(y0 + stepY))} l S`);
+    ops.push('[] 0 d 0 G 0.5 w');
+    [[x0, y0], [x0 + stepX, y0], [x0, y0 + stepY], [x0 + stepX, y0 + stepY]].forEach(([mx, my]) => {
+      const x = tx(mx); const y = ty(my); const arm = 0.2 * PT; const rr = 0.1 * PT; const c = rr * 0.5523;
+      ops.push(`${f(x - arm)} ${f(y)} m ${f(x + arm)} ${f(y)} l ${f(x)} ${f(y - arm)} m ${f(x)} ${f(y + arm)} l S`);
+      ops.push(`${f(x + rr)} ${f(y)} m ${f(x + rr)} ${f(y + c)} ${f(x + c)} ${f(y + rr)} ${f(x)} ${f(y + rr)} c ${f(x - c)} ${f(y + rr)} ${f(x - rr)} ${f(y + c)} ${f(x - rr)} ${f(y)} c ${f(x - rr)} ${f(y - c)} ${f(x - c)} ${f(y - rr)} ${f(x)} ${f(y - rr)} c ${f(x + c)} ${f(y - rr)} ${f(x + rr)} ${f(y - c)} ${f(x + rr)} ${f(y)} c S`);
+    });
+    ops.push('Q');
+
+    // Margins: page label below, scale bar above
+    const barLength = unit === 'metric' ? 50 / IN_TO_MM : 1;
+    const barY = (pageH - margin / 2) * PT;
+    ops.push('0.3 G 1.5 w', `${f(margin * PT)} ${f(barY)} m ${f((margin + barLength) * PT)} ${f(barY)} l S`);
+    ops.push(`${f(margin * PT)} ${f(barY - 4)} m ${f(margin * PT)} ${f(barY + 4)} l ${f((margin + barLength) * PT)} ${f(barY - 4)} m ${f((margin + barLength) * PT)} ${f(barY + 4)} l S`);
+    ops.push('0.3 g', `BT /F1 8 Tf ${f((margin + barLength) * PT + 6)} ${f(barY - 3)} Td (${unit === 'metric' ? '50 MM' : '1 INCH'} SCALE BAR - CHECK BEFORE CUTTING) Tj ET`);
+    const label = pdfText(`${title}   Page ${row * cols + col + 1} of ${pageCount}   (row ${row + 1}, column ${col + 1})`);
+    ops.push(`BT /F1 9 Tf ${f(margin * PT)} ${f((margin / 2) * PT - 3)} Td (${label}) Tj ET`);
+    return ops.join('\n');
+  };
+
+  // Objects: 1 catalog, 2 page tree, 3 font, then a page and its content stream per tile
+  const objects = [];
+  const pageIds = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const stream = pageStream(col, row);
+      const pageId = 4 + objects.length;
+      pageIds.push(pageId);
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${f(pageW * PT)} ${f(pageH * PT)}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`);
+      objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    }
+  }
+  const all = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ...objects,
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = all.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${all.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${all.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return { pdf, pageCount, cols, rows };
+};
+
+export {
+  KERF_PRESETS, bladeCutGeometry, cutHoleRadius, placeGeometry,
+  mergeGeometry, geometryBounds, buildTemplateSVG, buildDXF, layoutCutSheets,
+  cutSheetGeometry, buildCutSheetSVG, PAPER_SIZES, buildTiledPDF,
+};
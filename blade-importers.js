@@ -0,0 +1,266 @@
+/**
+ * Outline importers: read a blade shape drawn elsewhere from an SVG path or
+ * a DXF polyline, and measure it into profile stations for a custom blade.
+ * Outlines are closed polygons [{ x, y }] in the file's own units.
+ */
+import { outlineBounds, polygonProperties } from './blade-engine.js';
+
+// Line segments each curve, arc or polyline bulge is flattened into
+const CURVE_SEGMENTS = 16;
+
+// Endpoint-parameterised elliptical arc (SVG implementation notes, F.6.5),
+// flattened to points after the start point
+const arcPoints = (x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) => {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (!rx || !ry) return [{ x: x2, y: y2 }];
+  const phi = rotation * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / (den || 1)));
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= Math.PI * 2;
+  else if (sweep && delta < 0) delta += Math.PI * 2;
+  return Array.from({ length: CURVE_SEGMENTS }, (_, i) => {
+    const theta = start + (delta * (i + 1)) / CURVE_SEGMENTS;
+    return {
+      x: cx + rx * Math.cos(theta) * cos - ry * Math.sin(theta) * sin,
+      y: cy + rx * Math.cos(theta) * sin + ry * Math.sin(theta) * cos,
+    };
+  });
+};
+
+const bezierPoints = (controls) => Array.from({ length: CURVE_SEGMENTS }, (_, i) => {
+  const t = (i + 1) / CURVE_SEGMENTS;
+  let pts = controls;
+  while (pts.length > 1) pts = pts.slice(1).map((b, j) => ({ x: pts[j].x + (b.x - pts[j].x) * t, y: pts[j].y + (b.y - pts[j].y) * t }));
+  return pts[0];
+});
+
+/**
+ * Flattens SVG path data into subpaths of points. Supports every path
+ * command in absolute and relative form; curves and arcs become
+ * CURVE_SEGMENTS straight segments each.
+ */
+const parseSVGPath = (d) => {
+  const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  const subpaths = [];
+  let points = null;
+  let pos = { x: 0, y: 0 };
+  let start = pos;
+  let lastControl = null;
+  let command = null;
+  let i = 0;
+  const num = () => {
+    if (i >= tokens.length || /[a-zA-Z]/.test(tokens[i])) throw new Error('Malformed SVG path data.');
+    return parseFloat(tokens[i++]);
+  };
+  // Arc flags are single digits and may be written without separators ("011")
+  const flag = () => {
+    const tok = tokens[i];
+    if (tok && tok.length > 1 && /^[01]/.test(tok)) {
+      tokens[i] = tok.slice(1);
+      return tok[0] === '1';
+    }
+    return num() !== 0;
+  };
+  const point = (relative) => {
+    const x = num(); const y = num();
+    return relative ? { x: pos.x + x, y: pos.y + y } : { x, y };
+  };
+  const lineTo = (pt) => {
+    if (!points) {
+      points = [pos];
+      subpaths.push(points);
+    }
+    points.push(pt);
+    pos = pt;
+  };
+
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) command = tokens[i++];
+    else if (!command) throw new Error('Malformed SVG path data.');
+    const relative = command === command.toLowerCase();
+    const previous = lastControl;
+    lastControl = null;
+    switch (command.toUpperCase()) {
+      case 'M':
+        pos = point(relative);
+        start = pos;
+        points = null;
+        // Further coordinate pairs after a moveto are linetos
+        command = relative ? 'l' : 'L';
+        break;
+      case 'L': lineTo(point(relative)); break;
+      case 'H': lineTo({ x: (relative ? pos.x : 0) + num(), y: pos.y }); break;
+      case 'V': lineTo({ x: pos.x, y: (relative ? pos.y : 0) + num() }); break;
+      case 'C':
+      case 'S': {
+        const c1 = command.toUpperCase() === 'C' ? point(relative)
+          : previous && previous.cubic ? { x: 2 * pos.x - previous.x, y: 2 * pos.y - previous.y } : pos;
+        const c2 = point(relative);
+        const end = point(relative);
+        bezierPoints([pos, c1, c2, end]).forEach(lineTo);
+        lastControl = { ...c2, cubic: true };
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        const c = command.toUpperCase() === 'Q' ? point(relative)
+          : previous && !previous.cubic ? { x: 2 * pos.x - previous.x, y: 2 * pos.y - previous.y } : pos;
+        const end = point(relative);
+        bezierPoints([pos, c, end]).forEach(lineTo);
+        lastControl = { ...c, cubic: false };
+        break;
+      }
+      case 'A': {
+        const rx = num(); const ry = num(); const rotation = num();
+        const largeArc = flag(); const sweep = flag();
+        const end = point(relative);
+        arcPoints(pos.x, pos.y, rx, ry, rotation, largeArc, sweep, end.x, end.y).forEach(lineTo);
+        break;
+      }
+      case 'Z':
+        pos = start;
+        points = null;
+        break;
+      default:
+        throw new Error(`Unsupported SVG path command "${command}".`);
+    }
+  }
+  return subpaths;
+};
+
+// The blade is taken to be the largest outline by enclosed area; smaller ones are holes or marks
+const largestOutline = (outlines, source) => {
+  const candidates = outlines
+    .filter(points => points.length >= 3)
+    .map(points => ({ points, area: polygonProperties(points).area }))
+    .filter(c => c.area > 0);
+  if (!candidates.length) throw new Error(`No closed outline found in the ${source}.`);
+  return candidates.reduce((best, c) => (c.area > best.area ? c : best)).points;
+};
+
+/**
+ * Reads the blade outline from an SVG document (its <path>, <polygon> and
+ * <polyline> elements) or from bare path data. Element transforms are
+ * ignored, so the outline should be drawn in place.
+ */
+const parseSVGOutline = (text) => {
+  if (!text.includes('<')) return largestOutline(parseSVGPath(text), 'SVG path');
+  const outlines = [];
+  const attribute = /<(path|polygon|polyline)\b[^>]*?\s(d|points)\s*=\s*(["'])([\s\S]*?)\3/g;
+  let match;
+  while ((match = attribute.exec(text))) {
+    if (match[1] === 'path' && match[2] === 'd') outlines.push(...parseSVGPath(match[4]));
+    else if (match[1] !== 'path' && match[2] === 'points') {
+      const values = (match[4].match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+      outlines.push(Array.from({ length: Math.floor(values.length / 2) }, (_, k) => ({ x: values[2 * k], y: values[2 * k + 1] })));
+    }
+  }
+  return largestOutline(outlines, 'SVG file');
+};
+
+// Replaces each bulged polyline segment with the arc it stands for
+const expandBulges = (vertices, closed) => vertices.flatMap((v, i) => {
+  const next = vertices[(i + 1) % vertices.length];
+  if (!v.bulge || (!closed && i === vertices.length - 1)) return [{ x: v.x, y: v.y }];
+  const chord = Math.hypot(next.x - v.x, next.y - v.y);
+  const radius = (chord * (1 + v.bulge * v.bulge)) / (4 * Math.abs(v.bulge));
+  const largeArc = Math.abs(v.bulge) > 1;
+  // Bulges turn counter-clockwise in y-up DXF space when positive
+  const arc = arcPoints(v.x, v.y, radius, radius, 0, largeArc, v.bulge > 0, next.x, next.y);
+  return [{ x: v.x, y: v.y }, ...arc.slice(0, -1)];
+});
+
+/**
+ * Reads the blade outline from an ASCII DXF: LWPOLYLINE entities, or
+ * POLYLINE entities with their VERTEX records. Arc bulges are flattened.
+ */
+const parseDXFOutline = (text) => {
+  const lines = text.split(/\r?\n/);
+  const polylines = [];
+  let current = null;
+  let entity = null;
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i], 10);
+    const value = lines[i + 1].trim();
+    if (code === 0) {
+      entity = value;
+      if (value === 'LWPOLYLINE' || value === 'POLYLINE') {
+        current = { vertices: [], closed: false };
+        polylines.push(current);
+      } else if (value !== 'VERTEX') {
+        current = null;
+      }
+      continue;
+    }
+    if (!current) continue;
+    if (code === 70 && entity !== 'VERTEX') current.closed = (parseInt(value, 10) & 1) === 1;
+    // A POLYLINE's own point is a placeholder; its vertices follow as VERTEX records
+    if (entity === 'POLYLINE') continue;
+    const last = current.vertices[current.vertices.length - 1];
+    if (code === 10) current.vertices.push({ x: parseFloat(value), y: 0, bulge: 0 });
+    else if (code === 20 && last) last.y = parseFloat(value);
+    else if (code === 42 && last) last.bulge = parseFloat(value);
+  }
+  const outlines = polylines.map(pl => expandBulges(pl.vertices.filter(v => Number.isFinite(v.x) && Number.isFinite(v.y)), pl.closed));
+  return largestOutline(outlines, 'DXF file');
+};
+
+/**
+ * Measures a closed outline across its long axis and returns profile
+ * stations [{ x, h }] scaled so the outline spans `length`. h is half the
+ * outline's full extent at each station, so an outline that is not
+ * symmetric becomes symmetric about its centerline, and notches cut in
+ * from the ends are filled. The end with the smaller x is the root (the
+ * outline is first turned on its side if it is taller than it is long).
+ * Throws if fewer than three stations cross the outline.
+ */
+const outlineToStations = (points, length, columns = 96) => {
+  let outline = points;
+  let b = outlineBounds(outline);
+  if (b.maxY - b.minY > b.maxX - b.minX) {
+    outline = outline.map(pt => ({ x: pt.y, y: pt.x }));
+    b = outlineBounds(outline);
+  }
+  const span = b.maxX - b.minX;
+  if (!(span > 0)) throw new Error('The outline has no length.');
+  const scale = length / span;
+  const stations = Array.from({ length: columns + 1 }, (_, i) => {
+    const t = i / columns;
+    // Measure just inside the ends, where a crossing line would only graze the outline
+    const x = b.minX + span * Math.min(1 - 1e-4, Math.max(1e-4, t));
+    let lo = Infinity;
+    let hi = -Infinity;
+    outline.forEach((a, j) => {
+      const c = outline[(j + 1) % outline.length];
+      if (a.x === c.x || (a.x - x) * (c.x - x) > 0) return;
+      const y = a.y + ((c.y - a.y) * (x - a.x)) / (c.x - a.x);
+      lo = Math.min(lo, y);
+      hi = Math.max(hi, y);
+    });
+    return { x: t * length, h: hi > lo ? ((hi - lo) / 2) * scale : 0 };
+  });
+  if (stations.filter(s => s.h > 0).length < 3) throw new Error('The outline is too thin to measure along its length.');
+  return stations;
+};
+
+export { parseSVGPath, parseSVGOutline, parseDXFOutline, outlineToStations };
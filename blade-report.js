@@ -0,0 +1,201 @@
+/**
+ * Build sheet: a one-page, self-contained HTML report for the shop with a
+ * dimensioned drawing of the blade, its balance figures, the production
+ * settings and a cut checklist. Print it from the browser to get a PDF.
+ */
+import {
+  DEFAULT_PITCH, SWEET_SPOT, IN_TO_MM, unitFormatters, MATERIALS, getWidthAt,
+  sampleProfile, buildOutline, outlineToPath, analyzeBlade, validateDesign,
+} from './blade-engine.js';
+import { layoutCutSheets } from './blade-exporters.js';
+
+// Largest drawing that fits the page inside the margins, in inches
+const DRAWING_MAX = { width: 7, height: 3.6 };
+// Drawing scales tried in order; the first that fits is used
+const DRAWING_SCALES = [1, 1 / 2, 1 / 3, 1 / 4, 1 / 5, 1 / 8, 1 / 10];
+
+const escapeHTML = (text) => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+/**
+ * The blade drawn with dimension lines, as an SVG sized in inches at the
+ * largest of DRAWING_SCALES that fits the page. Geometry is in blade
+ * inches (root at x = 0, y down); `k` keeps text, strokes and gaps a
+ * constant size on paper whatever the scale.
+ */
+const buildDimensionedSVG = (p, stations, blade, fmt) => {
+  const L = p.exposedLength;
+  const Lt = p.tabLength;
+  const hTab = p.tabWidth / 2;
+  const H = Math.max(hTab, ...stations.map(st => st.h));
+  const widest = stations.reduce((best, st) => (st.h > best.h ? st : best), stations[0]);
+  const hRoot = getWidthAt(0, p);
+
+  // Room around the part for dimension rows, in paper inches
+  const pad = { left: 0.8, right: 0.35, top: 0.75, bottom: 1.05 };
+  const scale = DRAWING_SCALES.find(s => (Lt + L) * s + pad.left + pad.right <= DRAWING_MAX.width
+    && 2 * H * s + pad.top + pad.bottom <= DRAWING_MAX.height) || DRAWING_SCALES[DRAWING_SCALES.length - 1];
+  const k = 1 / scale;
+  const box = { x: -Lt - pad.left * k, y: -H - pad.top * k, w: Lt + L + (pad.left + pad.right) * k, h: 2 * H + (pad.top + pad.bottom) * k };
+
+  const n = (v) => v.toFixed(4);
+  const stroke = 0.008 * k;
+  const font = 0.095 * k;
+  const arrow = (x, y, dx, dy) => {
+    const a = 0.06 * k;
+    return `<path d="M ${n(x)} ${n(y)} L ${n(x - dx * a - dy * a / 3)} ${n(y - dy * a + dx * a / 3)} L ${n(x - dx * a + dy * a / 3)} ${n(y - dy * a - dx * a / 3)} Z" />`;
+  };
+  const line = (x1, y1, x2, y2, extra = '') => `<line x1="${n(x1)}" y1="${n(y1)}" x2="${n(x2)}" y2="${n(y2)}"${extra} />`;
+  const text = (x, y, label, extra = '') => `<text x="${n(x)}" y="${n(y)}" font-size="${n(font)}" stroke="none"${extra}>${escapeHTML(label)}</text>`;
+
+  // Horizontal dimension from xa to xb on row y, with extension lines from y0
+  const hDim = (xa, xb, y, y0, label) => [
+    line(xa, y0, xa, y + Math.sign(y - y0) * 0.05 * k, ' class="ext"'),
+    line(xb, y0, xb, y + Math.sign(y - y0) * 0.05 * k, ' class="ext"'),
+    line(xa, y, xb, y),
+    arrow(xa, y, -1, 0), arrow(xb, y, 1, 0),
+    text((xa + xb) / 2, y - 0.04 * k, label, ' text-anchor="middle"'),
+  ].join('');
+  // Vertical dimension across a half-width h at x, labelled beside the line
+  const vDim = (x, h, label, side = 1) => [
+    line(x, -h, x, h),
+    arrow(x, -h, 0, -1), arrow(x, h, 0, 1),
+    text(x + side * 0.05 * k, 0, label, ` text-anchor="middle" transform="rotate(-90 ${n(x + side * 0.05 * k)} 0)" dy="${side > 0 ? n(font) : 0}"`),
+  ].join('');
+
+  const top1 = -H - 0.25 * k;
+  const top2 = -H - 0.55 * k;
+  const bottom = H + 0.3 * k;
+  const parts = [
+    `<rect x="${n(SWEET_SPOT.start * L)}" y="${n(-H)}" width="${n((SWEET_SPOT.end - SWEET_SPOT.start) * L)}" height="${n(2 * H)}" fill="#22c55e" fill-opacity="0.12" />`,
+    `<path d="${outlineToPath(buildOutline(p, stations), 1)}" fill="#fef3c7" stroke="#000" stroke-width="${n(stroke * 1.5)}" />`,
+    line(-Lt - 0.1 * k, 0, L + 0.1 * k, 0, ` stroke-dasharray="${n(0.08 * k)} ${n(0.04 * k)}" class="ext"`),
+  ];
+  if (p.hasPinHole) parts.push(`<circle cx="${n(-p.pinHoleOffset)}" cy="0" r="${n(p.pinHoleSize / 2)}" fill="#fff" stroke="#dc2626" stroke-width="${n(stroke * 1.5)}" />`);
+
+  parts.push(`<g stroke="#1d4ed8" stroke-width="${n(stroke)}" fill="#1d4ed8">`);
+  parts.push(hDim(-Lt, 0, top1, -hTab, `tab ${fmt.length(Lt)}`));
+  parts.push(hDim(0, L, top1, -hRoot, `exposed ${fmt.length(L)}`));
+  parts.push(hDim(-Lt, L, top2, top1, `overall ${fmt.length(Lt + L)}`));
+  parts.push(line(-Lt, -hTab, -Lt - 0.35 * k, -hTab, ' class="ext"'), line(-Lt, hTab, -Lt - 0.35 * k, hTab, ' class="ext"'));
+  parts.push(vDim(-Lt - 0.3 * k, hTab, `tab ${fmt.length(2 * hTab)}`, -1));
+  if (hRoot > 0.05) parts.push(vDim(0.02 * L, hRoot, `root ${fmt.length(2 * hRoot)}`));
+  if (widest.x > 0.1 * L) parts.push(vDim(widest.x, widest.h, `max ${fmt.length(2 * widest.h)}`));
+  if (p.hasPinHole && p.pinHoleOffset > 0) {
+    parts.push(hDim(-p.pinHoleOffset, 0, bottom, 0, `pin ⌀${fmt.length(p.pinHoleSize)} @ ${fmt.length(p.pinHoleOffset)}`));
+  }
+  parts.push('</g>');
+
+  // CG crosshair, with its distance from the root
+  const c = 0.12 * k;
+  parts.push(`<g stroke="#dc2626" stroke-width="${n(stroke * 1.5)}" fill="#dc2626">`);
+  parts.push(line(blade.cgX - c, 0, blade.cgX + c, 0), line(blade.cgX, -c, blade.cgX, c));
+  parts.push(text(blade.cgX, H + 0.6 * k, `CG ${blade.cgPercent.toFixed(1)}% · ${fmt.length(blade.cgX)} from root`, ' text-anchor="middle"'));
+  parts.push('</g>');
+
+  // Scale bar of one inch (or 25 mm) as drawn
+  const barLength = fmt.metric ? 25 / IN_TO_MM : 1;
+  const barY = box.y + box.h - 0.1 * k;
+  parts.push(`<g stroke="#334155" stroke-width="${n(stroke * 2)}" fill="#334155">`);
+  parts.push(line(box.x + 0.1 * k, barY, box.x + 0.1 * k + barLength, barY));
+  parts.push(text(box.x + 0.1 * k, barY - 0.06 * k, `${fmt.metric ? '25mm' : '1in'} at 1:${Math.round(k)}`));
+  parts.push('</g>');
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${n(box.w * scale)}in" height="${n(box.h * scale)}in" viewBox="${n(box.x)} ${n(box.y)} ${n(box.w)} ${n(box.h)}" font-family="sans-serif"><style>.ext{stroke:#94a3b8}</style>${parts.join('')}</svg>`;
+  return { svg, scale, barLength };
+};
+
+/**
+ * The build sheet as a standalone HTML document. `issues` defaults to the
+ * engine's validation; callers with more checks (such as the rotor
+ * overlap) pass their own list. `materialLabel` names a material the
+ * engine does not know.
+ */
+const buildReportHTML = (p, {
+  name = 'Untitled Blade', unit = 'imperial', stations = sampleProfile(p), issues, materialLabel, date = new Date(),
+} = {}) => {
+  const fmt = unitFormatters(unit);
+  const blade = analyzeBlade(p, stations);
+  const sheets = layoutCutSheets(p, stations);
+  const quantity = Math.max(1, Math.round(p.quantity));
+  const checks = issues || validateDesign(p, stations, { formatLength: fmt.length });
+  const material = materialLabel || (MATERIALS[p.material] && p.material !== 'custom' ? MATERIALS[p.material].label : 'Custom material');
+  const { svg, scale, barLength } = buildDimensionedSVG(p, stations, blade, fmt);
+  const inSweetSpot = blade.cgPercent >= SWEET_SPOT.start * 100 && blade.cgPercent <= SWEET_SPOT.end * 100;
+  const style = { leaf: 'Vintage Leaf', rounded: 'Modern Rounded', custom: 'Custom' }[p.tipStyle] || p.tipStyle;
+
+  const rows = (list) => list.map(([label, value]) => `<tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`).join('');
+  const balance = rows([
+    ['Center of gravity', `${blade.cgPercent.toFixed(1)}% · ${fmt.length(blade.cgX)} from root${inSweetSpot ? ' (sweet spot)' : ' (outside 35–42%)'}`],
+    ['Blade area', fmt.area(blade.totalArea)],
+    ['Blade mass', fmt.mass(blade.mass)],
+    ['Blade inertia', fmt.inertia(blade.momentOfInertia)],
+    [`Rotor (${quantity} blades)`, `${fmt.mass(blade.mass * quantity)} · ${fmt.inertia(blade.momentOfInertia * quantity)}`],
+    ['Cut-in wind', `${fmt.speed(blade.cutInSpeed)} · ${blade.sensitivity} sensitivity`],
+    ['Coast time', `${blade.flywheelScore.toFixed(1)}s · ${blade.flywheelRating}`],
+  ]);
+  const production = rows([
+    ['Material', `${material}, ${fmt.length(p.thickness)} thick, ${p.density} kg/m³`],
+    ['Quantity', `${quantity} blades + ${sheets.count - quantity} spare${sheets.count - quantity === 1 ? '' : 's'}`],
+    ['Cut sheets', sheets.perSheet ? `${sheets.sheetCount} × ${fmt.length(p.sheetWidth)} × ${fmt.length(p.sheetHeight)}, ${sheets.perSheet} per sheet, ${(sheets.utilization * 100).toFixed(0)}% used` : 'Blade does not fit the sheet'],
+    ['Kerf offset', p.kerfOffset > 0 ? `${fmt.length(p.kerfOffset)} per side (already in the cut files)` : 'None'],
+    ['Pitch', `${p.pitch}° (recommended ${DEFAULT_PITCH}°)`],
+    ['Hub', `${fmt.length(p.hubDiameter)} diameter`],
+    ['Tab', `${fmt.length(p.tabLength)} × ${fmt.length(p.tabWidth)}`],
+    ['Pin hole', p.hasPinHole ? `⌀${fmt.length(p.pinHoleSize)}, ${fmt.length(p.pinHoleOffset)} from root` : 'None'],
+  ]);
+
+  const checklist = [
+    `Print this sheet at 100% (no fit to page). The drawing is 1:${Math.round(1 / scale)}, so its scale bar should measure ${fmt.length(barLength * scale)}.`,
+    `Cut ${sheets.count} blades from ${fmt.length(p.thickness)} ${material}${p.kerfOffset > 0 ? ` with a ${fmt.length(p.kerfOffset)} kerf offset` : ''}.`,
+    'Cut one blade first and test-fit its tab in the hub slot before cutting the batch.',
+    p.hasPinHole ? `Check the pin passes through the ⌀${fmt.length(p.pinHoleSize)} hole in the tab and the hub.` : null,
+    `Weigh each blade: about ${fmt.mass(blade.mass)}. Set aside any that differ noticeably from the rest.`,
+    `Mark the CG ${fmt.length(blade.cgX)} from the root and check each blade balances there on a straight edge.`,
+    `Set every blade at ${p.pitch}° in the hub.`,
+    'Spin the assembled rotor by hand: it should stop at a different position each time.',
+  ].filter(Boolean);
+
+  const checkList = checks.length
+    ? `<section><h2>Checks</h2><ul class="issues">${checks.map(issue => `<li class="${issue.severity}">${issue.severity === 'error' ? 'Error' : 'Warning'}: ${escapeHTML(issue.message)}</li>`).join('')}</ul></section>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Build Sheet · ${escapeHTML(name)}</title>
+<style>
+@page { size: auto; margin: 0.5in; }
+body { font: 10pt/1.4 system-ui, sans-serif; color: #0f172a; max-width: 7.5in; margin: 0.5in auto; }
+header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 2px solid #0f172a; margin-bottom: 0.15in; }
+h1 { font-size: 16pt; margin: 0; }
+h2 { font-size: 9pt; text-transform: uppercase; letter-spacing: 0.08em; color: #475569; margin: 0.15in 0 0.05in; }
+figure { margin: 0; }
+figcaption { font-size: 8pt; color: #64748b; }
+.columns { display: grid; grid-template-columns: 1fr 1fr; gap: 0.25in; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 2px 4px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+th { font-weight: 600; color: #475569; white-space: nowrap; }
+ul { margin: 0; padding-left: 0; list-style: none; }
+.checklist li::before { content: '☐ '; }
+.issues .error { color: #b91c1c; }
+.issues .warning { color: #b45309; }
+button { font: inherit; padding: 4px 10px; }
+@media print { button { display: none; } body { margin: 0 auto; } }
+</style>
+</head>
+<body>
+<header><h1>${escapeHTML(name)}</h1><span>${style} blade · ${date.toISOString().slice(0, 10)} <button onclick="window.print()">Print / Save PDF</button></span></header>
+<figure>${svg}<figcaption>Nominal outline; cut files add the kerf offset. Green band: 35–42% sweet spot. Scale 1:${Math.round(1 / scale)}.</figcaption></figure>
+<div class="columns">
+<section><h2>Balance</h2><table>${balance}</table></section>
+<section><h2>Production</h2><table>${production}</table></section>
+</div>
+${checkList}
+<section><h2>Cut Checklist</h2><ul class="checklist">${checklist.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</ul></section>
+</body>
+</html>
+`;
+};
+
+export { buildDimensionedSVG, buildReportHTML };
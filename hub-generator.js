@@ -0,0 +1,496 @@
+/**
+ * 3D-printable hub: a small CSG kernel, the hub solid matched to the blade
+ * params, and STL/3MF mesh writers.
+ */
+import { IN_TO_MM } from './blade-engine.js';
+
+// --- Solid Modelling ---
+// Constructive solid geometry on convex polygons with BSP trees, after
+// Evan Wallace's csg.js. A solid is an array of polygons
+// { vertices: [{ x, y, z }], plane: { normal, w } } wound counter-clockwise
+// seen from outside.
+const CSG_EPSILON = 1e-6;
+const COPLANAR = 0;
+const FRONT = 1;
+const BACK = 2;
+const SPANNING = 3;
+
+const vec3 = {
+  add: (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z }),
+  sub: (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }),
+  scale: (a, s) => ({ x: a.x * s, y: a.y * s, z: a.z * s }),
+  dot: (a, b) => a.x * b.x + a.y * b.y + a.z * b.z,
+  cross: (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x }),
+  lerp: (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t }),
+  unit: (a) => {
+    const len = Math.hypot(a.x, a.y, a.z) || 1;
+    return { x: a.x / len, y: a.y / len, z: a.z / len };
+  },
+};
+
+const csgPolygon = (vertices) => {
+  const normal = vec3.unit(vec3.cross(vec3.sub(vertices[1], vertices[0]), vec3.sub(vertices[2], vertices[0])));
+  return { vertices, plane: { normal, w: vec3.dot(normal, vertices[0]) } };
+};
+
+const flipPlane = (plane) => ({ normal: vec3.scale(plane.normal, -1), w: -plane.w });
+
+const flipPolygon = (polygon) => ({ vertices: polygon.vertices.slice().reverse(), plane: flipPlane(polygon.plane) });
+
+// Sorts a polygon into the lists by which side of `plane` it lies on,
+// cutting it in two when it spans the plane
+const splitPolygon = (plane, polygon, coplanarFront, coplanarBack, front, back) => {
+  let polygonType = COPLANAR;
+  const types = polygon.vertices.map(v => {
+    const t = vec3.dot(plane.normal, v) - plane.w;
+    const type = t < -CSG_EPSILON ? BACK : t > CSG_EPSILON ? FRONT : COPLANAR;
+    polygonType |= type;
+    return type;
+  });
+  if (polygonType === COPLANAR) {
+    (vec3.dot(plane.normal, polygon.plane.normal) > 0 ? coplanarFront : coplanarBack).push(polygon);
+  } else if (polygonType === FRONT) {
+    front.push(polygon);
+  } else if (polygonType === BACK) {
+    back.push(polygon);
+  } else {
+    const f = [];
+    const b = [];
+    polygon.vertices.forEach((vi, i) => {
+      const j = (i + 1) % polygon.vertices.length;
+      const vj = polygon.vertices[j];
+      if (types[i] !== BACK) f.push(vi);
+      if (types[i] !== FRONT) b.push(vi);
+      if ((types[i] | types[j]) === SPANNING) {
+        const t = (plane.w - vec3.dot(plane.normal, vi)) / vec3.dot(plane.normal, vec3.sub(vj, vi));
+        const v = vec3.lerp(vi, vj, t);
+        f.push(v);
+        b.push(v);
+      }
+    });
+    if (f.length >= 3) front.push({ vertices: f, plane: polygon.plane });
+    if (b.length >= 3) back.push({ vertices: b, plane: polygon.plane });
+  }
+};
+
+const bspNode = (polygons) => {
+  const node = { plane: null, front: null, back: null, polygons: [] };
+  if (polygons) bspBuild(node, polygons);
+  return node;
+};
+
+const bspBuild = (node, polygons) => {
+  if (!polygons.length) return;
+  if (!node.plane) node.plane = polygons[0].plane;
+  const front = [];
+  const back = [];
+  polygons.forEach(polygon => splitPolygon(node.plane, polygon, node.polygons, node.polygons, front, back));
+  if (front.length) {
+    if (!node.front) node.front = bspNode();
+    bspBuild(node.front, front);
+  }
+  if (back.length) {
+    if (!node.back) node.back = bspNode();
+    bspBuild(node.back, back);
+  }
+};
+
+// Swaps solid and empty space
+const bspInvert = (node) => {
+  node.polygons = node.polygons.map(flipPolygon);
+  if (node.plane) node.plane = flipPlane(node.plane);
+  if (node.front) bspInvert(node.front);
+  if (node.back) bspInvert(node.back);
+  [node.front, node.back] = [node.back, node.front];
+};
+
+// Removes the parts of `polygons` inside the solid this tree describes
+const bspClipPolygons = (node, polygons) => {
+  if (!node.plane) return polygons.slice();
+  let front = [];
+  let back = [];
+  polygons.forEach(polygon => splitPolygon(node.plane, polygon, front, back, front, back));
+  if (node.front) front = bspClipPolygons(node.front, front);
+  back = node.back ? bspClipPolygons(node.back, back) : [];
+  return front.concat(back);
+};
+
+const bspClipTo = (node, other) => {
+  node.polygons = bspClipPolygons(other, node.polygons);
+  if (node.front) bspClipTo(node.front, other);
+  if (node.back) bspClipTo(node.back, other);
+};
+
+const bspAllPolygons = (node) => [
+  ...node.polygons,
+  ...(node.front ? bspAllPolygons(node.front) : []),
+  ...(node.back ? bspAllPolygons(node.back) : []),
+];
+
+const csgSubtract = (a, b) => {
+  const A = bspNode(a);
+  const B = bspNode(b);
+  bspInvert(A);
+  bspClipTo(A, B);
+  bspClipTo(B, A);
+  bspInvert(B);
+  bspClipTo(B, A);
+  bspInvert(B);
+  bspBuild(A, bspAllPolygons(B));
+  bspInvert(A);
+  return bspAllPolygons(A);
+};
+
+// Box from a centre, three right-handed orthonormal axes and half-extents
+const csgBox = (center, axes, half) => {
+  const corner = (i) => [0, 1, 2].reduce((pt, k) => vec3.add(pt, vec3.scale(axes[k], (i >> k & 1 ? 1 : -1) * half[k])), center);
+  return [[0, 4, 6, 2], [1, 3, 7, 5], [0, 1, 5, 4], [2, 6, 7, 3], [0, 2, 3, 1], [4, 5, 7, 6]]
+    .map(face => csgPolygon(face.map(corner)));
+};
+
+const csgCylinder = (start, end, radius, slices = 32) => {
+  const ray = vec3.sub(end, start);
+  const axisZ = vec3.unit(ray);
+  const isY = Math.abs(axisZ.y) > 0.5;
+  const axisX = vec3.unit(vec3.cross({ x: isY ? 1 : 0, y: isY ? 0 : 1, z: 0 }, axisZ));
+  const axisY = vec3.unit(vec3.cross(axisX, axisZ));
+  const point = (stack, slice) => {
+    const angle = slice * Math.PI * 2;
+    const out = vec3.add(vec3.scale(axisX, Math.cos(angle)), vec3.scale(axisY, Math.sin(angle)));
+    return vec3.add(vec3.add(start, vec3.scale(ray, stack)), vec3.scale(out, radius));
+  };
+  // Caps are single polygons rather than fans, which keeps BSP splits down
+  const ring = Array.from({ length: slices }, (_, i) => i / slices);
+  const polygons = [
+    csgPolygon(ring.map(t => point(0, t))),
+    csgPolygon(ring.map(t => point(1, t)).reverse()),
+  ];
+  ring.forEach((t0, i) => {
+    const t1 = (i + 1) / slices;
+    polygons.push(csgPolygon([point(0, t1), point(0, t0), point(1, t0), point(1, t1)]));
+  });
+  return polygons;
+};
+
+// Separating-axis test for two boxes given as { center, axes, half }
+const boxesOverlap = (a, b) => {
+  const d = vec3.sub(b.center, a.center);
+  const candidates = [...a.axes, ...b.axes, ...a.axes.flatMap(u => b.axes.map(v => vec3.cross(u, v)))];
+  return candidates.every(axis => {
+    if (vec3.dot(axis, axis) < 1e-12) return true;
+    const reach = (box) => box.axes.reduce((sum, u, k) => sum + Math.abs(vec3.dot(u, axis)) * box.half[k], 0);
+    return Math.abs(vec3.dot(d, axis)) <= reach(a) + reach(b);
+  });
+};
+
+// --- Hub Generator ---
+const HUB_WALL = 0.08; // inches of solid floor and roof over the slots
+const HUB_SEGMENTS = 64;
+const PIN_SEGMENTS = 16;
+
+// Slot i as a box reaching from `inner` to `outer` radius. The slot's axes
+// follow the blade: radial, along the chord (tilted by pitch) and normal.
+const hubSlotBox = (dims, i, inner, outer) => {
+  const angle = (i / dims.quantity) * Math.PI * 2;
+  const radial = { x: Math.cos(angle), y: Math.sin(angle), z: 0 };
+  const tangent = { x: -Math.sin(angle), y: Math.cos(angle), z: 0 };
+  const chord = vec3.add(vec3.scale(tangent, Math.cos(dims.pitch)), { x: 0, y: 0, z: Math.sin(dims.pitch) });
+  const normal = vec3.add(vec3.scale(tangent, -Math.sin(dims.pitch)), { x: 0, y: 0, z: Math.cos(dims.pitch) });
+  return {
+    center: vec3.scale(radial, (inner + outer) / 2),
+    axes: [radial, chord, normal],
+    half: [(outer - inner) / 2, dims.slotHalfWidth, dims.slotHalfThickness],
+  };
+};
+
+/**
+ * Printable hub sized from the blade tab. Cut files are kerf-compensated,
+ * so the tab and pin hole arrive at their nominal size and every mating
+ * feature is the nominal size plus p.printClearance per side. Slots are
+ * tilted to the pitch angle about their radial axis, so the hub is made
+ * just tall enough to enclose a pitched slot with HUB_WALL above and below.
+ */
+const hubDimensions = (p) => {
+  const pitch = p.pitch * Math.PI / 180;
+  const clearance = p.printClearance;
+  const radius = p.hubDiameter / 2;
+  const quantity = Math.max(1, Math.round(p.quantity));
+  const slotHalfWidth = p.tabWidth / 2 + clearance;
+  const slotHalfThickness = p.thickness / 2 + clearance;
+  const slotDepth = p.tabLength + clearance;
+  const innerRadius = radius - slotDepth;
+  const boreRadius = p.boreDiameter / 2 + clearance;
+  const slotRise = slotHalfWidth * Math.sin(pitch) + slotHalfThickness * Math.cos(pitch);
+  const dims = {
+    pitch, radius, quantity, innerRadius, boreRadius,
+    height: 2 * (slotRise + HUB_WALL),
+    slotHalfWidth, slotHalfThickness,
+    pinRadius: p.pinHoleSize / 2 + clearance,
+    hasPins: p.hasPinHole && p.pinHoleOffset < p.tabLength,
+    issues: [],
+  };
+
+  if (innerRadius - boreRadius < HUB_WALL) dims.issues.push('The tabs reach the shaft bore. Shorten the tab or enlarge the hub.');
+  // All slots are alike, so checking one neighbour pair covers the ring
+  if (quantity > 1 && boxesOverlap(hubSlotBox(dims, 0, innerRadius, radius), hubSlotBox(dims, 1, innerRadius, radius))) {
+    dims.issues.push('Neighbouring slots run into each other inside the hub. Use fewer blades, a narrower tab or a larger hub.');
+  }
+  if (p.hasPinHole && !dims.hasPins) dims.issues.push('The pin hole is outside the tab, so the hub has no pin channels.');
+  return dims;
+};
+
+// Stepped builds yield their progress (0–1) between pieces of work so a page
+// can spread them out; this runs one straight to the end
+const runSteps = (steps) => {
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+// Stepped builds of a few hundred polygons at a time
+const MESH_CHUNK = 200;
+
+/**
+ * Hub solid in inches, axis along z and centred on the origin: a cylinder
+ * minus the shaft bore, one pitched slot per blade open at the rim, and a
+ * pin channel through each slot along the blade normal. Yields after each
+ * cut.
+ */
+function* hubSolidSteps(p) {
+  const dims = hubDimensions(p);
+  const { radius, height } = dims;
+  let solid = csgCylinder({ x: 0, y: 0, z: -height / 2 }, { x: 0, y: 0, z: height / 2 }, radius, HUB_SEGMENTS);
+  solid = csgSubtract(solid, csgCylinder({ x: 0, y: 0, z: -height }, { x: 0, y: 0, z: height }, dims.boreRadius, HUB_SEGMENTS / 2));
+
+  const outer = radius + 0.1; // run the slot past the rim so it cuts cleanly
+  for (let i = 0; i < dims.quantity; i++) {
+    const slot = hubSlotBox(dims, i, dims.innerRadius, outer);
+    solid = csgSubtract(solid, csgBox(slot.center, slot.axes, slot.half));
+    if (dims.hasPins) {
+      yield (i + 0.5) / dims.quantity;
+      const [radial, , normal] = slot.axes;
+      const pin = vec3.scale(radial, radius - p.pinHoleOffset);
+      const reach = vec3.scale(normal, radius + height);
+      solid = csgSubtract(solid, csgCylinder(vec3.sub(pin, reach), vec3.add(pin, reach), dims.pinRadius, PIN_SEGMENTS));
+    }
+    yield (i + 1) / dims.quantity;
+  }
+  return { polygons: solid, dims };
+}
+
+const buildHubSolid = (p) => runSteps(hubSolidSteps(p));
+
+// BSP splitting leaves T-junctions, where a vertex of one polygon sits
+// part-way along an edge of its neighbour, and slicers read those edges as
+// open. Every edge without a matching reverse edge gets the loose vertices
+// that lie along it inserted in order, MESH_CHUNK polygons per step.
+function* closeTJunctions(polygons) {
+  // Rounded to integers so -0 and 0 share a key
+  const key = (v) => `${Math.round(v.x * 1e6)},${Math.round(v.y * 1e6)},${Math.round(v.z * 1e6)}`;
+  const edges = new Set();
+  polygons.forEach(({ vertices }) => vertices.forEach((v, i) => edges.add(`${key(v)}|${key(vertices[(i + 1) % vertices.length])}`)));
+  const isOpen = (a, b) => !edges.has(`${key(b)}|${key(a)}`);
+  const loose = new Map();
+  polygons.forEach(({ vertices }) => vertices.forEach((a, i) => {
+    const b = vertices[(i + 1) % vertices.length];
+    if (isOpen(a, b)) {
+      loose.set(key(a), a);
+      loose.set(key(b), b);
+    }
+  }));
+  // Sorted by x, so an edge only measures the loose vertices level with it
+  const candidates = [...loose.values()].sort((m, n) => m.x - n.x);
+  const firstFrom = (x) => {
+    let lo = 0;
+    let hi = candidates.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (candidates[mid].x < x) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  yield 0;
+
+  const closed = [];
+  for (const polygon of polygons) {
+    const vertices = [];
+    polygon.vertices.forEach((a, i) => {
+      const b = polygon.vertices[(i + 1) % polygon.vertices.length];
+      vertices.push(a);
+      if (!isOpen(a, b)) return;
+      const ab = vec3.sub(b, a);
+      const lengthSq = vec3.dot(ab, ab);
+      // A vertex on the edge is within 1e-5 of it, so within 1e-5 of its x range
+      const found = [];
+      const maxX = Math.max(a.x, b.x) + 1e-5;
+      for (let k = firstFrom(Math.min(a.x, b.x) - 1e-5); k < candidates.length && candidates[k].x <= maxX; k++) {
+        const v = candidates[k];
+        const t = vec3.dot(vec3.sub(v, a), ab) / lengthSq;
+        const off = vec3.sub(vec3.sub(v, a), vec3.scale(ab, t));
+        if (t > 1e-9 && t < 1 - 1e-9 && vec3.dot(off, off) < 1e-10) found.push({ v, t });
+      }
+      found.sort((m, n) => m.t - n.t).forEach(({ v }) => vertices.push(v));
+    });
+    closed.push({ ...polygon, vertices });
+    if (closed.length % MESH_CHUNK === 0) yield closed.length / polygons.length;
+  }
+  return closed;
+}
+
+// Fans each convex polygon from its first vertex. Vertices added by
+// closeTJunctions sit on straight runs and would give zero-area triangles,
+// so those polygons fan from their centroid instead.
+const triangulateConvex = (vertices) => {
+  const n = vertices.length;
+  const straight = vertices.some((v, k) => {
+    const cross = vec3.cross(vec3.sub(v, vertices[(k + n - 1) % n]), vec3.sub(vertices[(k + 1) % n], v));
+    return vec3.dot(cross, cross) < 1e-16;
+  });
+  if (!straight) return vertices.slice(2).map((v, i) => [vertices[0], vertices[i + 1], v]);
+  const center = vec3.scale(vertices.reduce(vec3.add, { x: 0, y: 0, z: 0 }), 1 / n);
+  return vertices.map((v, k) => [center, v, vertices[(k + 1) % n]]);
+};
+
+const solidTriangles = (polygons) => runSteps(closeTJunctions(polygons)).flatMap(({ vertices }) => triangulateConvex(vertices));
+
+// Share of a whole mesh build's progress spent cutting the solid; closing
+// its T-junctions takes the rest
+const SOLID_PROGRESS_SHARE = 0.25;
+
+/**
+ * Triangles of the hub for `p`, with its dims ({ triangles, dims }), built
+ * a step at a time with the event loop handed back in between so a page
+ * stays responsive. A `solid` already built from the same params skips the
+ * cutting. `onProgress` hears the fraction done.
+ */
+const buildHubMeshAsync = async (p, { solid = null, onProgress } = {}) => {
+  const drain = async (steps, toProgress) => {
+    let step = steps.next();
+    while (!step.done) {
+      if (onProgress) onProgress(toProgress(step.value));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      step = steps.next();
+    }
+    return step.value;
+  };
+  const built = solid || await drain(hubSolidSteps(p), f => f * SOLID_PROGRESS_SHARE);
+  const closed = await drain(closeTJunctions(built.polygons), f => SOLID_PROGRESS_SHARE + f * (1 - SOLID_PROGRESS_SHARE));
+  return { triangles: closed.flatMap(({ vertices }) => triangulateConvex(vertices)), dims: built.dims };
+};
+
+// --- Mesh Files ---
+// Meshes are written in millimetres, resting on z = 0
+
+/** Binary STL: 80-byte header, triangle count, then 50 bytes per triangle. */
+const buildSTL = (triangles, zOffset = 0) => {
+  const buffer = new ArrayBuffer(84 + triangles.length * 50);
+  const view = new DataView(buffer);
+  const header = 'Whirligig hub, millimetres';
+  for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+  view.setUint32(80, triangles.length, true);
+  triangles.forEach((tri, i) => {
+    const mm = tri.map(v => ({ x: v.x * IN_TO_MM, y: v.y * IN_TO_MM, z: (v.z + zOffset) * IN_TO_MM }));
+    const normal = vec3.unit(vec3.cross(vec3.sub(mm[1], mm[0]), vec3.sub(mm[2], mm[0])));
+    let offset = 84 + i * 50;
+    [normal, ...mm].forEach(v => {
+      view.setFloat32(offset, v.x, true);
+      view.setFloat32(offset + 4, v.y, true);
+      view.setFloat32(offset + 8, v.z, true);
+      offset += 12;
+    });
+    view.setUint16(offset, 0, true);
+  });
+  return new Uint8Array(buffer);
+};
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Uncompressed ("stored") ZIP archive of { name, data } entries, where
+ * data is a string or Uint8Array. Enough for OPC packages such as 3MF.
+ */
+const buildZip = (entries) => {
+  const encoder = new TextEncoder();
+  const files = entries.map(({ name, data }) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+  });
+  const localSize = files.reduce((sum, f) => sum + 30 + f.name.length + f.bytes.length, 0);
+  const centralSize = files.reduce((sum, f) => sum + 46 + f.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+  const header = (signature, fields) => {
+    view.setUint32(offset, signature, true);
+    offset += 4;
+    fields.forEach(([size, value]) => {
+      if (size === 2) view.setUint16(offset, value, true);
+      else view.setUint32(offset, value, true);
+      offset += size;
+    });
+  };
+  const DOS_DATE = 0x21; // 1980-01-01, midnight
+  files.forEach(f => {
+    f.offset = offset;
+    header(0x04034b50, [[2, 20], [2, 0], [2, 0], [2, 0], [2, DOS_DATE], [4, f.crc], [4, f.bytes.length], [4, f.bytes.length], [2, f.name.length], [2, 0]]);
+    out.set(f.name, offset); offset += f.name.length;
+    out.set(f.bytes, offset); offset += f.bytes.length;
+  });
+  const centralStart = offset;
+  files.forEach(f => {
+    header(0x02014b50, [[2, 20], [2, 20], [2, 0], [2, 0], [2, 0], [2, DOS_DATE], [4, f.crc], [4, f.bytes.length], [4, f.bytes.length], [2, f.name.length], [2, 0], [2, 0], [2, 0], [2, 0], [4, 0], [4, f.offset]]);
+    out.set(f.name, offset); offset += f.name.length;
+  });
+  header(0x06054b50, [[2, 0], [2, 0], [2, files.length], [2, files.length], [4, offset - centralStart], [4, centralStart], [2, 0]]);
+  return out;
+};
+
+/** 3MF package: one mesh object with shared vertices, in millimetres. */
+const build3MF = (triangles, zOffset = 0, name = 'Whirligig Hub') => {
+  const vertices = [];
+  const index = new Map();
+  const vertexId = (v) => {
+    const coords = [v.x, v.y, v.z + zOffset].map(c => String(Math.round(c * IN_TO_MM * 1e4) / 1e4));
+    const key = coords.join(' ');
+    if (!index.has(key)) {
+      index.set(key, vertices.length);
+      vertices.push(coords);
+    }
+    return index.get(key);
+  };
+  const faces = triangles.map(tri => tri.map(vertexId)).filter(([a, b, c]) => a !== b && b !== c && a !== c);
+  const safeName = name.replace(/[<>&"]/g, '');
+  const model = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+    `<metadata name="Title">${safeName}</metadata>`,
+    `<resources><object id="1" type="model" name="${safeName}"><mesh><vertices>`,
+    ...vertices.map(([x, y, z]) => `<vertex x="${x}" y="${y}" z="${z}"/>`),
+    '</vertices><triangles>',
+    ...faces.map(([a, b, c]) => `<triangle v1="${a}" v2="${b}" v3="${c}"/>`),
+    '</triangles></mesh></object></resources>',
+    '<build><item objectid="1"/></build>',
+    '</model>',
+  ].join('\n');
+  return buildZip([
+    { name: '[Content_Types].xml', data: '<?xml version="1.0" encoding="UTF-8"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/></Types>' },
+    { name: '_rels/.rels', data: '<?xml version="1.0" encoding="UTF-8"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/></Relationships>' },
+    { name: '3D/3dmodel.model', data: model },
+  ]);
+};
+
+export {
+  vec3, csgBox, csgCylinder, csgSubtract, hubDimensions, buildHubSolid,
+  solidTriangles, buildHubMeshAsync, buildSTL, buildZip, build3MF,
+};
@@ -0,0 +1,434 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  IN_TO_M, DEFAULT_PARAMS, PRESETS, DESIGN_FORMAT, DESIGN_VERSION,
+  sampleProfile, integrateProfile, integrateAnalytic, buildOutline, offsetPolygon,
+  polygonProperties, analyzeBlade, solveBalance, solveBalanceAsync, sweepParameter, findSelfIntersection, validateDesign,
+  createDesign, parseDesign, encodeDesignHash, resolveInitialDesign,
+  normalizeControlPoints, profileToControlPoints,
+} from '../blade-engine.js';
+
+const assertClose = (actual, expected, relTol = 1e-9, message = '') => {
+  const tol = relTol * Math.max(1, Math.abs(expected));
+  assert.ok(Math.abs(actual - expected) <= tol, `${message} expected ${expected}, got ${actual}`);
+};
+
+// Deterministic pseudo-random generator so property failures reproduce
+const lcg = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const randomParams = (rand) => {
+  const tipStyle = rand() < 0.5 ? 'leaf' : 'rounded';
+  const tipWidth = 0.5 + rand() * 4.5;
+  return {
+    ...DEFAULT_PARAMS,
+    tipStyle,
+    exposedLength: 4 + rand() * 14,
+    tabLength: 0.25 + rand() * 1.5,
+    tabWidth: 0.5 + rand() * 2.5,
+    rootWidth: 0.5 + rand() * 3,
+    tipWidth,
+    // Leaf bluntness is a 0-1 blend; rounded tip radius is a length
+    tipRadius: tipStyle === 'leaf' ? rand() : rand() * tipWidth / 2,
+    widthPosition: 0.1 + rand() * 0.8,
+    taperSharpness: rand(),
+    edgeCurvature: 0.2 + rand() * 0.6,
+    pitch: rand() * 60,
+    hubDiameter: 1 + rand() * 5,
+    hasPinHole: rand() < 0.5,
+  };
+};
+
+// A constant-width blade whose tab is as wide as the blade: one rectangle
+// from x = -tabLength to x = exposedLength
+const rectangle = (L, Lt, W, extra = {}) => ({
+  ...DEFAULT_PARAMS,
+  ...PRESETS.rounded,
+  tipStyle: 'rounded',
+  exposedLength: L,
+  tabLength: Lt,
+  tabWidth: W,
+  rootWidth: W,
+  tipWidth: W,
+  tipRadius: 0,
+  hasPinHole: false,
+  ...extra,
+});
+
+// Width grows linearly from a point at the root to W at the tip, no tab
+const triangle = (L, W, extra = {}) => ({
+  ...rectangle(L, 0, 0),
+  rootWidth: 0,
+  tipWidth: W,
+  edgeCurvature: 0.5,
+  ...extra,
+});
+
+describe('closed-form shapes', () => {
+  test('rectangle area, CG and inertia', () => {
+    const L = 8; const Lt = 1.5; const W = 2; const pitch = 30;
+    const p = rectangle(L, Lt, W, { pitch, hubDiameter: 4 });
+    const R = p.hubDiameter / 2;
+    const blade = analyzeBlade(p);
+
+    assertClose(blade.totalArea, W * (L + Lt));
+    assertClose(blade.cgX, (L - Lt) / 2);
+    assertClose(blade.cgPercent, ((L - Lt) / 2 / L) * 100);
+
+    const radial = (W * (Math.pow(R + L, 3) - Math.pow(R - Lt, 3))) / 3;
+    const chord = ((L + Lt) * Math.pow(W, 3)) / 12;
+    const cos2 = Math.pow(Math.cos(pitch * Math.PI / 180), 2);
+    assertClose(blade.areaInertia, radial + chord * cos2);
+
+    const arealDensity = p.density * p.thickness * IN_TO_M;
+    assertClose(blade.mass, arealDensity * W * (L + Lt) * IN_TO_M * IN_TO_M);
+    assertClose(blade.momentOfInertia, arealDensity * (radial + chord * cos2) * Math.pow(IN_TO_M, 4));
+  });
+
+  test('rectangle with a pin hole', () => {
+    const L = 8; const Lt = 1.5; const W = 2; const r = 0.1; const offset = 0.6;
+    const p = rectangle(L, Lt, W, { pitch: 0, hasPinHole: true, pinHoleSize: 2 * r, pinHoleOffset: offset });
+    const R = p.hubDiameter / 2;
+    const hole = Math.PI * r * r;
+    const blade = analyzeBlade(p);
+
+    assertClose(blade.totalArea, W * (L + Lt) - hole);
+    assertClose(blade.cgX, (W * (L + Lt) * (L - Lt) / 2 + hole * offset) / (W * (L + Lt) - hole));
+    const solid = (W * (Math.pow(R + L, 3) - Math.pow(R - Lt, 3))) / 3 + ((L + Lt) * Math.pow(W, 3)) / 12;
+    // Parallel-axis theorem for the disc: r²/2 about its centre plus d²
+    assertClose(blade.areaInertia, solid - hole * (Math.pow(R - offset, 2) + r * r / 2));
+  });
+
+  test('triangle area, CG and inertia', () => {
+    const L = 10; const W = 3;
+    const p = triangle(L, W, { pitch: 0, hubDiameter: 3 });
+    const R = p.hubDiameter / 2;
+    const blade = analyzeBlade(p);
+
+    assertClose(blade.totalArea, (W * L) / 2);
+    assertClose(blade.cgX, (2 * L) / 3);
+    assertClose(blade.cgPercent, 200 / 3);
+    // ∫ (R + x)² · W·x/L dx and ∫ (W·x/L)³ / 12 dx over 0..L
+    const radial = (W / L) * ((R * R * L * L) / 2 + (2 * R * L * L * L) / 3 + Math.pow(L, 4) / 4);
+    const chord = (Math.pow(W, 3) * L) / 48;
+    assertClose(blade.areaInertia, radial + chord);
+  });
+
+  test('outline polygon encloses the integrated rectangle', () => {
+    const p = rectangle(6, 1, 1.5);
+    const outline = polygonProperties(buildOutline(p, sampleProfile(p)));
+    assertClose(outline.area, 1.5 * 7);
+    assertClose(outline.cgX, 2.5);
+    assertClose(outline.cgY, 0);
+  });
+});
+
+describe('properties over random designs', () => {
+  const rand = lcg(20240521);
+  const designs = Array.from({ length: 60 }, () => randomParams(rand));
+
+  test('outline polygon and profile integrals agree', () => {
+    designs.forEach((p, i) => {
+      const stations = sampleProfile(p);
+      const polygon = polygonProperties(buildOutline(p, stations));
+      const profile = integrateProfile(p, stations, p.hubDiameter / 2);
+      assertClose(polygon.area, profile.area, 1e-9, `design ${i} area`);
+      assertClose(polygon.cgX, profile.cgX, 1e-9, `design ${i} cgX`);
+      assert.ok(Math.abs(polygon.cgY) < 1e-9, `design ${i} is not symmetric`);
+    });
+  });
+
+  test('sampled profile tracks the analytic shape', () => {
+    designs.forEach((p, i) => {
+      const sampled = integrateProfile(p, sampleProfile(p), p.hubDiameter / 2);
+      const analytic = integrateAnalytic(p);
+      assertClose(sampled.area, analytic.area, 5e-3, `design ${i} area`);
+      assert.ok(Math.abs(sampled.cgX - analytic.cgX) < 5e-3 * p.exposedLength, `design ${i} cgX`);
+    });
+  });
+
+  test('CG lies within the part and inertia exceeds the CG bound', () => {
+    designs.forEach((p, i) => {
+      const blade = analyzeBlade(p);
+      assert.ok(blade.totalArea > 0, `design ${i} area`);
+      assert.ok(blade.cgX > -p.tabLength && blade.cgX < p.exposedLength, `design ${i} cgX ${blade.cgX}`);
+      // ∫r²dA ≥ A·r̄² (Jensen), with r̄ the CG radius
+      const cgRadius = p.hubDiameter / 2 + blade.cgX;
+      assert.ok(blade.areaInertia >= blade.totalArea * cgRadius * cgRadius * (1 - 1e-9), `design ${i} inertia`);
+    });
+  });
+
+  test('scaling every length scales area by s² and inertia by s⁴', () => {
+    const LENGTHS = ['exposedLength', 'tabLength', 'tabWidth', 'rootWidth', 'tipWidth', 'pinHoleSize', 'pinHoleOffset', 'hubDiameter'];
+    designs.slice(0, 20).forEach((p, i) => {
+      const s = 0.5 + rand() * 2;
+      const scaled = { ...p };
+      LENGTHS.forEach(key => { scaled[key] = p[key] * s; });
+      if (p.tipStyle === 'rounded') scaled.tipRadius = p.tipRadius * s;
+      const a = analyzeBlade(p);
+      const b = analyzeBlade(scaled);
+      assertClose(b.totalArea, a.totalArea * s * s, 1e-9, `design ${i} area`);
+      assertClose(b.cgPercent, a.cgPercent, 1e-9, `design ${i} cg%`);
+      assertClose(b.areaInertia, a.areaInertia * Math.pow(s, 4), 1e-9, `design ${i} inertia`);
+    });
+  });
+
+  test('kerf offset keeps its distance from the nominal outline', () => {
+    designs.slice(0, 20).forEach((p, i) => {
+      const k = 0.005 + rand() * 0.05;
+      const nominal = buildOutline(p, sampleProfile(p));
+      const offset = offsetPolygon(nominal, k);
+      assert.ok(polygonProperties(offset).area > polygonProperties(nominal).area, `design ${i} did not grow`);
+      offset.forEach(pt => {
+        let nearest = Infinity;
+        nominal.forEach((a, j) => {
+          const b = nominal[(j + 1) % nominal.length];
+          const dx = b.x - a.x; const dy = b.y - a.y;
+          const t = Math.min(1, Math.max(0, ((pt.x - a.x) * dx + (pt.y - a.y) * dy) / (dx * dx + dy * dy || 1)));
+          nearest = Math.min(nearest, Math.hypot(pt.x - a.x - t * dx, pt.y - a.y - t * dy));
+        });
+        assert.ok(nearest >= k * (1 - 1e-6) && nearest <= k * (1 + 1e-3), `design ${i}: point ${nearest} from outline, kerf ${k}`);
+      });
+    });
+  });
+});
+
+describe('kerf offset of a convex outline', () => {
+  test('rectangle grows by its perimeter times the kerf plus the corner arcs', () => {
+    const L = 8; const Lt = 1; const W = 2; const k = 0.05;
+    const p = rectangle(L, Lt, W);
+    const area = polygonProperties(buildOutline(p, sampleProfile(p), k)).area;
+    // Steiner: A + P·k + π·k², less the chords the arcs are drawn with
+    const steiner = W * (L + Lt) + 2 * (W + L + Lt) * k + Math.PI * k * k;
+    assert.ok(area <= steiner && area > steiner - 0.02 * k * k, `area ${area} vs ${steiner}`);
+  });
+});
+
+describe('parameter sweep', () => {
+  test('steps evenly and matches a direct analysis at each value', () => {
+    const p = { ...DEFAULT_PARAMS, ...PRESETS.leaf, tipStyle: 'leaf' };
+    const curve = sweepParameter(p, 'widthPosition', 0.2, 0.8, 6);
+    assert.deepEqual(curve.map(pt => Math.round(pt.value * 10)), [2, 3, 4, 5, 6, 7, 8]);
+    curve.forEach(pt => {
+      const blade = analyzeBlade({ ...p, widthPosition: pt.value });
+      assert.equal(pt.cgPercent, blade.cgPercent);
+      assert.equal(pt.momentOfInertia, blade.momentOfInertia);
+    });
+    // Moving the widest point toward the tip moves the CG outward
+    curve.slice(1).forEach((pt, i) => assert.ok(pt.cgPercent > curve[i].cgPercent, `at ${pt.value}`));
+  });
+
+  test('a rectangle stays balanced at half its length while inertia grows', () => {
+    const curve = sweepParameter(rectangle(4, 0, 1), 'exposedLength', 4, 12, 4);
+    curve.forEach(pt => assertClose(pt.cgPercent, 50));
+    curve.slice(1).forEach((pt, i) => assert.ok(pt.momentOfInertia > curve[i].momentOfInertia));
+    assert.throws(() => sweepParameter(DEFAULT_PARAMS, 'tipStyle', 0, 1), /not a numeric parameter/);
+  });
+});
+
+describe('balance solver', () => {
+  // Everything but the searched shape params must come back untouched
+  const assertOnlyChanged = (p, solution, keys) => {
+    assert.deepEqual(Object.keys(solution.changes).sort(), [...keys].sort());
+    Object.keys(p).filter(key => !keys.includes(key)).forEach(key => assert.deepEqual(solution.params[key], p[key], key));
+  };
+
+  test('reaches the target CG with the locked dimensions unchanged', () => {
+    const p = { ...DEFAULT_PARAMS };
+    const { solutions, closest } = solveBalance(p, { targetCgPercent: 38 });
+    assert.ok(solutions.length > 1);
+    assert.deepEqual(closest, solutions[0]);
+    solutions.forEach(solution => {
+      assert.ok(Math.abs(solution.cgPercent - 38) < 0.5, `CG ${solution.cgPercent}`);
+      assert.equal(analyzeBlade(solution.params).cgPercent, solution.cgPercent);
+      assertOnlyChanged(p, solution, ['widthPosition', 'taperSharpness', 'tipRadius']);
+    });
+  });
+
+  test('alternatives are distinct shapes', () => {
+    const { solutions } = solveBalance(DEFAULT_PARAMS, { targetCgPercent: 38 });
+    solutions.forEach((a, i) => solutions.slice(i + 1).forEach(b => {
+      const spread = Math.max(...Object.keys(a.changes).map(key => Math.abs(a.changes[key] - b.changes[key])));
+      assert.ok(spread > 0.05, `${JSON.stringify(a.changes)} vs ${JSON.stringify(b.changes)}`);
+    }));
+  });
+
+  test('an unreachable target gives no solutions, only the closest miss', () => {
+    const p = { ...DEFAULT_PARAMS, ...PRESETS.rounded, tipStyle: 'rounded' };
+    const { solutions, closest } = solveBalance(p, { targetCgPercent: 38 });
+    assert.deepEqual(solutions, []);
+    assert.ok(closest.cgPercent - 38 >= 0.5, `closest ${closest.cgPercent}`);
+    assertOnlyChanged(p, closest, ['edgeCurvature', 'tipRadius']);
+  });
+
+  test('the end width only moves when freed, and reaches what the shape cannot', async () => {
+    const p = { ...DEFAULT_PARAMS, ...PRESETS.rounded, tipStyle: 'rounded' };
+    const options = { targetCgPercent: 38, freeTipWidth: true };
+    const result = solveBalance(p, options);
+    assert.ok(result.solutions.length > 0);
+    result.solutions.forEach(solution => {
+      assert.ok(Math.abs(solution.cgPercent - 38) < 0.5);
+      assertOnlyChanged(p, solution, ['tipWidth', 'edgeCurvature', 'tipRadius']);
+    });
+    // The chunked search finds exactly the same answers
+    const progress = [];
+    assert.deepEqual(await solveBalanceAsync(p, options, { onProgress: f => progress.push(f) }), result);
+    assert.ok(progress.length > 0 && progress.every((f, i) => f > 0 && f <= 1 && (!i || f >= progress[i - 1])));
+  });
+
+  test('editing the design mid-search abandons the run', async () => {
+    let design = { ...DEFAULT_PARAMS };
+    const controller = new AbortController();
+    const progress = [];
+    // The page aborts the search on any edit it did not make itself
+    const onProgress = (f) => {
+      progress.push(f);
+      design = { ...design, exposedLength: 16 };
+      controller.abort();
+    };
+    const result = await solveBalanceAsync(design, { targetCgPercent: 38 }, { onProgress, signal: controller.signal });
+    assert.equal(result, null);
+    assert.equal(progress.length, 1);
+  });
+
+  test('custom profiles have nothing to search', () => {
+    assert.deepEqual(solveBalance({ ...DEFAULT_PARAMS, tipStyle: 'custom' }), { solutions: [], closest: null });
+  });
+});
+
+describe('validation', () => {
+  const ids = (p) => validateDesign(p).map(issue => issue.id);
+
+  test('presets pass every check', () => {
+    ['leaf', 'rounded'].forEach(style => {
+      assert.deepEqual(validateDesign({ ...DEFAULT_PARAMS, ...PRESETS[style], tipStyle: style }), [], style);
+    });
+  });
+
+  test('pin hole must fit inside the tab with enough web', () => {
+    const p = { ...DEFAULT_PARAMS, hasPinHole: true, tabLength: 1, tabWidth: 1, pinHoleOffset: 0.5, pinHoleSize: 0.25 };
+    assert.deepEqual(ids(p), []);
+    assert.deepEqual(ids({ ...p, pinHoleSize: 1.2 }), ['pin-hole-width', 'pin-hole-offset', 'pin-hole-root']);
+    assert.deepEqual(ids({ ...p, pinHoleOffset: 1.1 }), ['pin-hole-offset']);
+    // Plywood needs 1/8in beside the hole: 0.8in in a 1in tab leaves 0.1in
+    assert.deepEqual(ids({ ...p, pinHoleSize: 0.8, pinHoleOffset: 0.4, tabLength: 2 }), ['pin-hole-web']);
+    // Aluminum gets by with less
+    assert.deepEqual(ids({ ...p, pinHoleSize: 0.8, pinHoleOffset: 0.4, tabLength: 2, material: 'aluminum' }), []);
+    assert.deepEqual(ids({ ...p, kerfOffset: 0.2 }), ['pin-hole-kerf']);
+    assert.ok(ids({ ...p, hasPinHole: false, pinHoleSize: 5 }).length === 0);
+  });
+
+  test('shape and dimension rules', () => {
+    const rounded = { ...DEFAULT_PARAMS, ...PRESETS.rounded, tipStyle: 'rounded' };
+    assert.deepEqual(ids({ ...rounded, tipRadius: rounded.tipWidth / 2 + 0.1 }), ['tip-radius']);
+    assert.deepEqual(ids({ ...rounded, rootWidth: 0.05 }), ['blade-web']);
+    assert.deepEqual(ids({ ...rounded, tabWidth: 0 }), ['tabWidth-zero']);
+    const issue = validateDesign({ ...rounded, rootWidth: 0.05 }, undefined, { formatLength: v => `${(v * 25.4).toFixed(1)}mm` })[0];
+    assert.match(issue.message, /narrows to 1\.3mm at 0% .*Birch Plywood needs 3\.2mm/);
+  });
+
+  test('finds where an outline crosses itself', () => {
+    const bowtie = [{ x: 0, y: 0 }, { x: 2, y: 2 }, { x: 2, y: 0 }, { x: 0, y: 2 }];
+    assert.deepEqual(findSelfIntersection(bowtie), { x: 1, y: 1 });
+    assert.equal(findSelfIntersection([{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 2 }, { x: 0, y: 2 }]), null);
+  });
+});
+
+describe('custom profiles', () => {
+  test('a flat two-point profile is the rectangle', () => {
+    const L = 8; const Lt = 1.5; const W = 2;
+    const p = rectangle(L, Lt, W, { tipStyle: 'custom', customProfile: [{ t: 0, h: W / 2 }, { t: 1, h: W / 2 }] });
+    const blade = analyzeBlade(p);
+    assertClose(blade.totalArea, W * (L + Lt));
+    assertClose(blade.cgX, (L - Lt) / 2);
+  });
+
+  test('a straight two-point profile is the triangle', () => {
+    const L = 10; const W = 3;
+    const p = triangle(L, W, { tipStyle: 'custom', customProfile: [{ t: 0, h: 0 }, { t: 1, h: W / 2 }] });
+    const blade = analyzeBlade(p);
+    assertClose(blade.totalArea, (W * L) / 2);
+    assertClose(blade.cgX, (2 * L) / 3);
+  });
+
+  test('control points are cleaned up', () => {
+    assert.deepEqual(normalizeControlPoints([{ t: 0.9, h: 1 }, { t: 0.2, h: -1 }, { t: 0.5, h: 2 }, { t: 0.505, h: 3 }, null]), [
+      { t: 0, h: 0 }, { t: 0.5, h: 2 }, { t: 1, h: 1 },
+    ]);
+    assert.deepEqual(normalizeControlPoints([{ t: 0.5, h: 1 }]), []);
+    assert.deepEqual(normalizeControlPoints('nope'), []);
+  });
+
+  test('traced presets keep their balance', () => {
+    ['leaf', 'rounded'].forEach(style => {
+      const p = { ...DEFAULT_PARAMS, ...PRESETS[style], tipStyle: style };
+      const custom = { ...p, tipStyle: 'custom', customProfile: profileToControlPoints(sampleProfile(p), p.exposedLength) };
+      assert.ok(custom.customProfile.length <= 16, `${style} used ${custom.customProfile.length} points`);
+      assert.ok(Math.abs(analyzeBlade(custom).cgPercent - analyzeBlade(p).cgPercent) < 0.25, style);
+    });
+  });
+});
+
+describe('design files', () => {
+  test('round trip through createDesign and parseDesign', () => {
+    const params = { ...DEFAULT_PARAMS, ...PRESETS.rounded, tipStyle: 'rounded', quantity: 7 };
+    const design = createDesign(params, 'metric', 'Round Seven');
+    assert.equal(design.format, DESIGN_FORMAT);
+    assert.equal(design.version, DESIGN_VERSION);
+    const parsed = parseDesign(JSON.stringify(design));
+    assert.deepEqual(parsed, { name: 'Round Seven', unit: 'metric', params });
+  });
+
+  test('old versions migrate and newer ones are refused', () => {
+    const v1 = { format: DESIGN_FORMAT, version: 1, name: 'Old', unit: 'imperial', style: 'leaf', params: { exposedLength: 9 } };
+    const { params } = parseDesign(v1);
+    assert.equal(params.exposedLength, 9);
+    assert.equal(params.material, 'plywood');
+    assert.equal(params.sheetWidth, DEFAULT_PARAMS.sheetWidth);
+    assert.deepEqual(params.customProfile, []);
+    assert.throws(() => parseDesign({ ...v1, version: DESIGN_VERSION + 1 }), /newer version/);
+    assert.throws(() => parseDesign({ version: 1 }), /Not a whirligig/);
+  });
+
+  test('custom designs keep their points, or fall back without them', () => {
+    const customProfile = [{ t: 0, h: 0.5 }, { t: 0.6, h: 1.25 }, { t: 1, h: 0.4 }];
+    const params = { ...DEFAULT_PARAMS, tipStyle: 'custom', customProfile };
+    assert.deepEqual(parseDesign(createDesign(params, 'imperial')).params.customProfile, customProfile);
+    const empty = parseDesign(createDesign({ ...params, customProfile: [] }, 'imperial')).params;
+    assert.equal(empty.tipStyle, DEFAULT_PARAMS.tipStyle);
+  });
+
+  test('a shared link opens once, then the autosave takes over', () => {
+    const shared = createDesign({ ...DEFAULT_PARAMS, exposedLength: 12 }, 'metric', 'Shared');
+    const working = JSON.stringify(createDesign(DEFAULT_PARAMS, 'imperial', 'Working'));
+    const hash = `#design=${encodeDesignHash(shared)}`;
+
+    const { design: first, error } = resolveInitialDesign(hash, working);
+    assert.deepEqual(first, parseDesign(shared));
+    assert.equal(error, null);
+
+    // The page drops the hash and autosaves its edits over the working copy
+    const edited = JSON.stringify(createDesign({ ...first.params, exposedLength: 13 }, first.unit, first.name));
+    const reload = resolveInitialDesign('', edited).design;
+    assert.equal(reload.name, 'Shared');
+    assert.equal(reload.params.exposedLength, 13);
+
+    assert.deepEqual(resolveInitialDesign('', null), { design: null, error: null });
+  });
+
+  test('a broken shared link opens the autosave, never the defaults', () => {
+    const working = JSON.stringify(createDesign({ ...DEFAULT_PARAMS, exposedLength: 13 }, 'metric', 'Working'));
+    ['#design=bm90LWEtZGVzaWdu', '#design=x', '#design=e30'].forEach(hash => {
+      const { design, error } = resolveInitialDesign(hash, working);
+      assert.deepEqual(design, parseDesign(working), hash);
+      assert.match(error, /^Could not open the shared link: .+ Your autosaved design was opened instead\.$/);
+    });
+
+    const alone = resolveInitialDesign('#design=bm90LWEtZGVzaWdu', null);
+    assert.equal(alone.design, null);
+    assert.match(alone.error, /^Could not open the shared link/);
+    assert.match(resolveInitialDesign('', '{').error, /^Could not open the autosaved design/);
+  });
+});
@@ -0,0 +1,175 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, sampleProfile } from '../blade-engine.js';
+import {
+  bladeCutGeometry, buildDXF, geometryBounds, layoutCutSheets, cutSheetGeometry, buildCutSheetSVG,
+  PAPER_SIZES, buildTiledPDF,
+} from '../blade-exporters.js';
+
+// Header variables an AutoCAD R12 reader understands
+const R12_HEADER_VARIABLES = new Set(['$ACADVER', '$MEASUREMENT', '$EXTMIN', '$EXTMAX']);
+
+// Splits a DXF into [code, value] pairs, failing on anything that is not one
+const dxfPairs = (text) => {
+  const lines = text.replace(/\n$/, '').split('\n');
+  assert.equal(lines.length % 2, 0, 'group codes and values pair up');
+  const pairs = [];
+  for (let i = 0; i < lines.length; i += 2) {
+    assert.match(lines[i], /^\s*-?\d+$/, `group code on line ${i + 1}`);
+    pairs.push([Number(lines[i]), lines[i + 1].trim()]);
+  }
+  return pairs;
+};
+
+// Groups the pairs into SECTION ... ENDSEC blocks, checking each one is closed
+const dxfSections = (pairs) => {
+  const sections = [];
+  let current = null;
+  pairs.forEach(([code, value], i) => {
+    if (code !== 0) {
+      if (current) current.pairs.push([code, value]);
+      return;
+    }
+    if (value === 'SECTION') {
+      assert.equal(current, null, 'sections do not nest');
+      assert.deepEqual(pairs[i + 1], [2, pairs[i + 1][1]], 'section name follows SECTION');
+      current = { name: pairs[i + 1][1], pairs: [] };
+    } else if (value === 'ENDSEC') {
+      assert.ok(current, 'ENDSEC closes a section');
+      sections.push(current);
+      current = null;
+    } else if (value === 'EOF') {
+      assert.equal(current, null, 'EOF outside any section');
+      assert.equal(i, pairs.length - 1, 'EOF ends the file');
+    } else {
+      assert.ok(current, `${value} inside a section`);
+      current.pairs.push([code, value]);
+    }
+  });
+  return sections;
+};
+
+describe('DXF', () => {
+  const p = { ...DEFAULT_PARAMS };
+  const geometry = bladeCutGeometry(p, sampleProfile(p), p.kerfOffset);
+
+  test('follows the R12 section layout', () => {
+    const pairs = dxfPairs(buildDXF(geometry, 'imperial'));
+    assert.deepEqual(pairs.at(-1), [0, 'EOF']);
+    const sections = dxfSections(pairs);
+    assert.deepEqual(sections.map(s => s.name), ['HEADER', 'TABLES', 'ENTITIES']);
+
+    const [header, tables, entities] = sections;
+    const variables = header.pairs.filter(([code]) => code === 9).map(([, name]) => name);
+    variables.forEach(name => assert.ok(R12_HEADER_VARIABLES.has(name), `${name} is an R12 header variable`));
+    assert.deepEqual(header.pairs.slice(1, 3), [[9, '$ACADVER'], [1, 'AC1009']]);
+
+    const tableMarks = tables.pairs.filter(([code, value]) => code === 0 && /^(TABLE|ENDTAB)$/.test(value));
+    assert.deepEqual(tableMarks.map(([, v]) => v), ['TABLE', 'ENDTAB', 'TABLE', 'ENDTAB']);
+
+    const types = entities.pairs.filter(([code]) => code === 0).map(([, v]) => v);
+    assert.deepEqual(types, ['POLYLINE', ...Array(geometry.polylines[0].points.length).fill('VERTEX'), 'SEQEND', 'CIRCLE']);
+  });
+
+  test('flags the unit with $MEASUREMENT', () => {
+    const measurement = (unit) => {
+      const pairs = dxfPairs(buildDXF(geometry, unit));
+      const i = pairs.findIndex(([code, value]) => code === 9 && value === '$MEASUREMENT');
+      return pairs[i + 1];
+    };
+    assert.deepEqual(measurement('imperial'), [70, '0']);
+    assert.deepEqual(measurement('metric'), [70, '1']);
+  });
+});
+
+describe('tiled PDF', () => {
+  const p = { ...DEFAULT_PARAMS, exposedLength: 16 };
+  const geometry = bladeCutGeometry(p, sampleProfile(p), p.kerfOffset);
+  const options = { paper: 'letter', title: 'Long Blade \u2014 16"', margin: 0.5, overlap: 0.5 };
+  const result = buildTiledPDF(geometry, options);
+  // The bytes a browser Blob stores, read back one character per byte
+  const text = Buffer.from(result.pdf, 'utf8').toString('latin1');
+
+  test('tiles a 16in blade onto two landscape letter pages', () => {
+    assert.deepEqual([result.pageCount, result.cols, result.rows], [2, 2, 1]);
+    assert.equal(text.match(/\/Type \/Page\b/g).length, 2);
+    assert.match(text, /\/Count 2 >>/);
+    assert.equal(text.match(/\/MediaBox \[0 0 792\.00 612\.00\]/g).length, 2);
+
+    // Two tiles are needed and enough: the drawing (with its 0.25in pad) is
+    // longer than one printable width, and no longer than two less the overlap
+    const b = geometryBounds(geometry);
+    const drawW = b.maxX - b.minX + 0.5;
+    const printW = PAPER_SIZES.letter.height - options.margin * 2;
+    assert.ok(drawW > printW, `drawing ${drawW}in`);
+    assert.ok(drawW <= printW * 2 - options.overlap, `drawing ${drawW}in`);
+    assert.match(text, /Page 1 of 2 {3}\\\(row 1, column 1\\\)/);
+    assert.match(text, /Page 2 of 2 {3}\\\(row 1, column 2\\\)/);
+  });
+
+  test('xref offsets point at each object', () => {
+    const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    const [header, ...entries] = text.slice(startxref).split('trailer')[0].split('\n').slice(1, -1);
+    const count = Number(header.split(' ')[1]);
+    assert.equal(entries.length, count);
+    assert.equal(entries[0], '0000000000 65535 f ');
+    entries.slice(1).forEach((entry, i) => {
+      assert.match(entry, /^\d{10} 00000 n $/);
+      const offset = Number(entry.slice(0, 10));
+      assert.equal(text.slice(offset, offset + `${i + 1} 0 obj\n`.length), `${i + 1} 0 obj\n`, `object ${i + 1}`);
+    });
+    assert.match(text, new RegExp(`trailer\\n<< /Size ${count} /Root 1 0 R >>`));
+  });
+
+  test('stream lengths match the stream bytes', () => {
+    const streams = [...text.matchAll(/<< \/Length (\d+) >>\nstream\n/g)];
+    assert.equal(streams.length, result.pageCount);
+    streams.forEach(match => {
+      const end = match.index + match[0].length + Number(match[1]);
+      assert.equal(text.slice(end, end + '\nendstream'.length), '\nendstream');
+    });
+  });
+});
+
+const segmentDistance = (pt, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const t = Math.max(0, Math.min(1, ((pt.x - a.x) * dx + (pt.y - a.y) * dy) / (dx * dx + dy * dy || 1)));
+  return Math.hypot(pt.x - a.x - t * dx, pt.y - a.y - t * dy);
+};
+
+// Closest approach of two closed outlines, vertex to edge both ways
+const outlineGap = (a, b) => {
+  const oneWay = (from, to) => Math.min(...from.map(pt => Math.min(...to.map((c, i) => segmentDistance(pt, c, to[(i + 1) % to.length])))));
+  return Math.min(oneWay(a, b), oneWay(b, a));
+};
+
+describe('cut sheets', () => {
+  const p = { ...DEFAULT_PARAMS, quantity: 12, spares: 2, sheetWidth: 18, sheetHeight: 12, sheetMargin: 0.5, partSpacing: 0.2 };
+  const layout = layoutCutSheets(p, sampleProfile(p));
+
+  test('holds the whole batch on the fewest sheets', () => {
+    assert.ok(layout.perSheet > 1);
+    assert.equal(layout.sheetCount, Math.ceil(layout.count / layout.perSheet));
+    assert.equal(layout.sheets.flat().length, p.quantity + p.spares);
+    layout.sheets.forEach(parts => assert.ok(parts.length <= layout.perSheet));
+  });
+
+  test('keeps parts inside the margins and the part spacing apart', () => {
+    layout.sheets.forEach((_, i) => {
+      const b = geometryBounds(cutSheetGeometry(layout, i));
+      assert.ok(b.minX >= p.sheetMargin - 1e-9 && b.minY >= p.sheetMargin - 1e-9, `sheet ${i + 1} near edges`);
+      assert.ok(b.maxX <= p.sheetWidth - p.sheetMargin + 1e-9 && b.maxY <= p.sheetHeight - p.sheetMargin + 1e-9, `sheet ${i + 1} far edges`);
+    });
+    const outlines = cutSheetGeometry(layout, 0).polylines.map(pl => pl.points);
+    outlines.forEach((a, i) => outlines.slice(i + 1).forEach((b, j) => {
+      assert.ok(outlineGap(a, b) >= p.partSpacing - 1e-9, `parts ${i} and ${i + j + 1} are ${outlineGap(a, b)} apart`);
+    }));
+  });
+
+  test('writes one sheet-sized SVG group per part', () => {
+    const svg = buildCutSheetSVG(layout, 0);
+    assert.match(svg, /^<svg [^>]*width="18in" height="12in" viewBox="0 0 18 12">/);
+    assert.equal(svg.match(/<g transform="translate\([\d.]+ [\d.]+\) rotate\(\d+\)">/g).length, layout.sheets[0].length);
+  });
+});
@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, sampleProfile, buildOutline, polygonProperties } from '../blade-engine.js';
+import { bladeCutGeometry, buildDXF } from '../blade-exporters.js';
+import { parseSVGPath, parseSVGOutline, parseDXFOutline, outlineToStations } from '../blade-importers.js';
+
+const assertNear = (actual, expected, tol, message = '') => {
+  assert.ok(Math.abs(actual - expected) <= tol, `${message} expected ${expected}, got ${actual}`);
+};
+
+describe('SVG paths', () => {
+  test('relative and shorthand commands', () => {
+    const [points] = parseSVGPath('m10 20 h30 v10 H10 z');
+    assert.deepEqual(points, [{ x: 10, y: 20 }, { x: 40, y: 20 }, { x: 40, y: 30 }, { x: 10, y: 30 }]);
+  });
+
+  test('arcs, with flags written without separators', () => {
+    // Two half-ellipses make a whole one of area π·a·b
+    const [points] = parseSVGPath('M0 0A10 5 0 1120 0a10 5 0 11-20 0z');
+    const { area } = polygonProperties(points);
+    assertNear(area, Math.PI * 10 * 5, 0.03 * Math.PI * 50, 'ellipse area');
+    points.forEach(pt => assertNear(Math.pow((pt.x - 10) / 10, 2) + Math.pow(pt.y / 5, 2), 1, 1e-9, 'on ellipse'));
+  });
+
+  test('the largest outline in a document is the blade', () => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg">
+      <circle cx="1" cy="1" r="1" />
+      <polygon points="0,0 2,0 2,1" />
+      <path fill="none" d="M 0 0 L 50 0 L 50 10 L 0 10 Z" />
+    </svg>`;
+    const b = polygonProperties(parseSVGOutline(svg));
+    assertNear(Math.abs(b.area), 500, 1e-9);
+    assert.throws(() => parseSVGOutline('<svg><rect width="4" height="2" /></svg>'), /No closed outline/);
+    assert.throws(() => parseSVGPath('M 0 0 L 5'), /Malformed/);
+  });
+
+  test('outlines are compared by enclosed area, not their bounding boxes', () => {
+    // A thin L spans a 20×20 box but encloses less than the 6×6 square
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg">
+      <polygon points="0,0 20,0 20,0.5 0.5,0.5 0.5,20 0,20" />
+      <polygon points="30,0 36,0 36,6 30,6" />
+    </svg>`;
+    assert.equal(parseSVGOutline(svg)[0].x, 30);
+  });
+});
+
+describe('DXF polylines', () => {
+  test('a blade exported as DXF reads back as its outline', () => {
+    const p = { ...DEFAULT_PARAMS };
+    const stations = sampleProfile(p);
+    const nominal = polygonProperties(buildOutline(p, stations));
+    const read = polygonProperties(parseDXFOutline(buildDXF(bladeCutGeometry(p, stations))));
+    assertNear(Math.abs(read.area), nominal.area, 1e-3);
+    assertNear(read.cgX, nominal.cgX, 1e-3);
+  });
+
+  test('bulged LWPOLYLINE segments become arcs', () => {
+    // A closed square whose top edge bulges into a semicircle of radius 1
+    const dxf = ['0', 'SECTION', '2', 'ENTITIES', '0', 'LWPOLYLINE', '8', '0', '90', '4', '70', '1',
+      '10', '0', '20', '0', '10', '2', '20', '0', '10', '2', '20', '2', '42', '1', '10', '0', '20', '2',
+      '0', 'ENDSEC', '0', 'EOF'].join('\n');
+    const { area } = polygonProperties(parseDXFOutline(dxf));
+    assertNear(Math.abs(area), 4 + Math.PI / 2, 0.02);
+  });
+});
+
+describe('outline stations', () => {
+  test('a drawn rectangle scales to the exposed length', () => {
+    const stations = outlineToStations([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 20 }, { x: 0, y: 20 }], 8);
+    assert.equal(stations[0].x, 0);
+    assert.equal(stations[stations.length - 1].x, 8);
+    stations.forEach(s => assertNear(s.h, 0.8, 1e-9));
+  });
+
+  test('tall outlines are turned on their side', () => {
+    const stations = outlineToStations([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 4 }, { x: 0, y: 4 }], 8);
+    stations.forEach(s => assertNear(s.h, 1, 1e-9));
+  });
+
+  test('an L-shaped outline is measured across its full extent', () => {
+    // A 3-wide root block for the first 3 units, then a 1-wide arm out to 10
+    const stations = outlineToStations([
+      { x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 1 }, { x: 3, y: 1 }, { x: 3, y: 3 }, { x: 0, y: 3 },
+    ], 20);
+    stations.forEach(s => {
+      if (s.x < 5.9) assertNear(s.h, 3, 1e-9, `root at ${s.x}`);
+      else if (s.x > 6.1) assertNear(s.h, 1, 1e-9, `arm at ${s.x}`);
+    });
+  });
+
+  test('outlines with too few stations across them are rejected', () => {
+    // A flat line with a single narrow spike has width at only one station
+    const spike = [{ x: 0, y: 0 }, { x: 4.99, y: 0 }, { x: 5, y: 1 }, { x: 5.01, y: 0 }, { x: 10, y: 0 }];
+    assert.throws(() => outlineToStations(spike, 8), /too thin/);
+  });
+});
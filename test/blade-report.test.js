@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, PRESETS } from '../blade-engine.js';
+import { buildReportHTML } from '../blade-report.js';
+
+const leaf = { ...DEFAULT_PARAMS, ...PRESETS.leaf, tipStyle: 'leaf', hasPinHole: true };
+
+test('build sheet carries the drawing, figures and checklist', () => {
+  const html = buildReportHTML(leaf, { name: 'Shop <Blade> & Co', date: new Date('2026-03-04T12:00:00Z') });
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<title>Build Sheet · Shop &lt;Blade&gt; &amp; Co<\/title>/);
+  assert.match(html, /2026-03-04/);
+  // Dimensioned drawing, sized in inches for printing
+  assert.match(html, /<svg [^>]*width="[\d.]+in" height="[\d.]+in"/);
+  assert.match(html, new RegExp(`exposed ${leaf.exposedLength.toFixed(3)}in`));
+  assert.match(html, new RegExp(`tab ${leaf.tabWidth.toFixed(3)}in`));
+  assert.match(html, new RegExp(`pin ⌀${leaf.pinHoleSize.toFixed(3)}in @ ${leaf.pinHoleOffset.toFixed(3)}in`));
+  assert.match(html, /CG \d+\.\d% · /);
+  assert.match(html, new RegExp(`${leaf.pitch}° \\(recommended \\d+°\\)`));
+  assert.match(html, /Birch Plywood/);
+  assert.match(html, /class="checklist"><li>Print this sheet at 100%/);
+  // Nothing to report on a preset
+  assert.doesNotMatch(html, /<h2>Checks<\/h2>/);
+  // Self-contained: no external resources
+  assert.doesNotMatch(html, /<(link|script|img)\b|src=|href=/);
+});
+
+test('metric sheets, problems and long blades', () => {
+  const html = buildReportHTML({ ...leaf, exposedLength: 30, pinHoleSize: 5 }, { unit: 'metric' });
+  assert.match(html, /exposed 762\.0mm/);
+  assert.match(html, /25mm at 1:8/);
+  assert.match(html, /<li class="error">Error: Pin hole is as wide as the tab or wider\.<\/li>/);
+  const own = buildReportHTML(leaf, { issues: [{ id: 'x', severity: 'warning', message: 'Check me', at: null }], materialLabel: 'Walnut' });
+  assert.match(own, /<li class="warning">Warning: Check me<\/li>/);
+  assert.match(own, /Walnut, /);
+});
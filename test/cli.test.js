@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_PARAMS, createDesign, analyzeBlade } from '../blade-engine.js';
+
+const CLI = fileURLToPath(new URL('../bin/whirligig-blade.js', import.meta.url));
+
+const run = (args, input) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', input });
+
+test('writes metrics, SVG and DXF for a design file', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'whirligig-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const designPath = join(dir, 'blade.json');
+  writeFileSync(designPath, JSON.stringify(createDesign(DEFAULT_PARAMS, 'metric', 'CLI Blade')));
+
+  const result = run([designPath, '--svg', join(dir, 'blade.svg'), '--dxf', join(dir, 'blade.dxf'), '--report', join(dir, 'report.html')]);
+  assert.equal(result.status, 0, result.stderr);
+  const metrics = JSON.parse(result.stdout);
+  const blade = analyzeBlade(DEFAULT_PARAMS);
+  assert.equal(metrics.name, 'CLI Blade');
+  assert.equal(metrics.cgPercent, blade.cgPercent);
+  assert.equal(metrics.momentOfInertia, blade.momentOfInertia);
+  assert.equal(metrics.rotor.quantity, DEFAULT_PARAMS.quantity);
+  assert.deepEqual(metrics.issues, []);
+
+  assert.match(readFileSync(join(dir, 'blade.svg'), 'utf8'), /^<svg [^>]*>.*<path d="M /s);
+  // Metric designs export the DXF in millimetres ($MEASUREMENT 1)
+  assert.match(readFileSync(join(dir, 'blade.dxf'), 'utf8'), /\$MEASUREMENT\r?\n\s*70\r?\n\s*1\r?\n/);
+  assert.match(readFileSync(join(dir, 'report.html'), 'utf8'), /<title>Build Sheet · CLI Blade<\/title>/);
+});
+
+test('writes one SVG and DXF per nested cut sheet', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'whirligig-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const params = { ...DEFAULT_PARAMS, quantity: 6, spares: 0, sheetWidth: 14, sheetHeight: 8 };
+
+  const result = run(['-', '--sheets', join(dir, 'batch'), '--metrics', join(dir, 'metrics.json')], JSON.stringify(createDesign(params, 'imperial')));
+  assert.equal(result.status, 0, result.stderr);
+  const { sheetCount } = JSON.parse(readFileSync(join(dir, 'metrics.json'), 'utf8')).cutSheets;
+  assert.ok(sheetCount > 1);
+  for (let i = 1; i <= sheetCount; i++) {
+    assert.match(readFileSync(join(dir, `batch_${i}_of_${sheetCount}.svg`), 'utf8'), /^<svg [^>]*width="14in" height="8in"/);
+    assert.match(readFileSync(join(dir, `batch_${i}_of_${sheetCount}.dxf`), 'utf8'), /ENTITIES/);
+  }
+});
+
+test('reads the design from stdin and writes metrics to a file', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'whirligig-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const metricsPath = join(dir, 'metrics.json');
+
+  const result = run(['-', '--metrics', metricsPath], JSON.stringify(createDesign(DEFAULT_PARAMS, 'imperial')));
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stdout, '');
+  assert.equal(JSON.parse(readFileSync(metricsPath, 'utf8')).style, DEFAULT_PARAMS.tipStyle);
+});
+
+test('rejects files that are not designs', () => {
+  const result = run(['-'], '{"format":"something-else"}');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Not a whirligig blade design file/);
+});
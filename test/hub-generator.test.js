@@ -0,0 +1,109 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, IN_TO_MM } from '../blade-engine.js';
+import { hubDimensions, buildHubSolid, solidTriangles, buildHubMeshAsync, buildSTL, build3MF } from '../hub-generator.js';
+
+const vertexKey = (v) => [v.x, v.y, v.z].map(c => Math.round(c * 1e6)).join(',');
+
+// Signed volume by the divergence theorem; positive for outward winding
+const meshVolume = (triangles) => triangles.reduce((sum, [a, b, c]) => sum + (
+  a.x * (b.y * c.z - b.z * c.y) - a.y * (b.x * c.z - b.z * c.x) + a.z * (b.x * c.y - b.y * c.x)
+) / 6, 0);
+
+// Entries of a stored (uncompressed) ZIP, read from its local file headers
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const entries = [];
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    assert.equal(view.getUint16(offset + 8, true), 0, 'stored without compression');
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const dataStart = offset + 30 + nameLength + view.getUint16(offset + 28, true);
+    entries.push({
+      name: decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength)),
+      text: decoder.decode(bytes.subarray(dataStart, dataStart + size)),
+    });
+    offset = dataStart + size;
+  }
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50, 'end of central directory');
+  assert.equal(view.getUint16(end + 10, true), entries.length, 'central directory lists every entry');
+  return entries;
+};
+
+describe('hub solid', () => {
+  const p = { ...DEFAULT_PARAMS };
+  const { polygons, dims } = buildHubSolid(p);
+  const triangles = solidTriangles(polygons);
+
+  test('is a closed mesh: every edge is shared with a reversed twin', () => {
+    const edges = new Map();
+    triangles.forEach(tri => tri.forEach((a, i) => {
+      const edge = `${vertexKey(a)}>${vertexKey(tri[(i + 1) % 3])}`;
+      edges.set(edge, (edges.get(edge) || 0) + 1);
+    }));
+    const open = [...edges].filter(([edge, n]) => {
+      const [a, b] = edge.split('>');
+      return edges.get(`${b}>${a}`) !== n;
+    });
+    assert.deepEqual(open, []);
+  });
+
+  test('has positive volume, less than the uncut cylinder', () => {
+    const volume = meshVolume(triangles);
+    assert.ok(volume > 0, `volume ${volume}`);
+    assert.ok(volume < Math.PI * dims.radius * dims.radius * dims.height);
+    assert.deepEqual(dims, hubDimensions(p));
+  });
+
+  test('binary STL has the header, count and 50 bytes per triangle', () => {
+    const stl = buildSTL(triangles, dims.height / 2);
+    const view = new DataView(stl.buffer);
+    assert.equal(stl.length, 84 + 50 * triangles.length);
+    assert.match(new TextDecoder().decode(stl.subarray(0, 80)), /^Whirligig hub, millimetres\0*$/);
+    assert.equal(view.getUint32(80, true), triangles.length);
+    // The mesh rests on z = 0 and is written in millimetres
+    let minZ = Infinity;
+    let maxZ = -Infinity;
+    for (let i = 0; i < triangles.length; i++) {
+      for (let k = 1; k <= 3; k++) {
+        const z = view.getFloat32(84 + i * 50 + k * 12 + 8, true);
+        minZ = Math.min(minZ, z);
+        maxZ = Math.max(maxZ, z);
+      }
+    }
+    assert.ok(Math.abs(minZ) < 1e-3, `min z ${minZ}`);
+    assert.ok(Math.abs(maxZ - dims.height * IN_TO_MM) < 1e-3, `max z ${maxZ}`);
+  });
+
+  test('3MF is an OPC package with content types, relationships and the model', () => {
+    const entries = readZip(build3MF(triangles, dims.height / 2, 'Test <Hub>'));
+    assert.deepEqual(entries.map(e => e.name), ['[Content_Types].xml', '_rels/.rels', '3D/3dmodel.model']);
+    const [types, rels, model] = entries.map(e => e.text);
+    assert.match(types, /<Default Extension="rels" ContentType="application\/vnd\.openxmlformats-package\.relationships\+xml"\/>/);
+    assert.match(types, /<Default Extension="model" ContentType="application\/vnd\.ms-package\.3dmanufacturing-3dmodel\+xml"\/>/);
+    assert.match(rels, /Target="\/3D\/3dmodel\.model"/);
+    assert.match(model, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<model unit="millimeter"/);
+    assert.match(model, /name="Test Hub"/);
+
+    const vertexCount = (model.match(/<vertex /g) || []).length;
+    const faces = [...model.matchAll(/<triangle v1="(\d+)" v2="(\d+)" v3="(\d+)"\/>/g)].map(m => m.slice(1).map(Number));
+    assert.ok(vertexCount > 0 && faces.length > 0);
+    assert.ok(faces.length <= triangles.length);
+    faces.forEach(face => face.forEach(v => assert.ok(v < vertexCount)));
+  });
+
+  test('the stepped build gives the same mesh, reusing a solid it is handed', async () => {
+    const progress = [];
+    const mesh = await buildHubMeshAsync(p, { onProgress: f => progress.push(f) });
+    assert.deepEqual(mesh, { triangles, dims });
+    assert.ok(progress.length > dims.quantity);
+    assert.ok(progress.every((f, i) => f >= 0 && f <= 1 && (!i || f >= progress[i - 1])));
+
+    const reused = [];
+    assert.deepEqual(await buildHubMeshAsync(p, { solid: { polygons, dims }, onProgress: f => reused.push(f) }), mesh);
+    assert.ok(reused.length < progress.length);
+  });
+});
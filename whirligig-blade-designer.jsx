@@ -1,10 +1,91 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { 
   Download, Wind, Ruler, Globe, AlertCircle, 
   Circle, Leaf, ChevronUp, ChevronDown, 
   Layout, Crosshair, MoveDiagonal, Gauge, 
-  Zap, ImageIcon
+  Zap, ImageIcon, Fan, Wand2, Weight, Plus, Activity,
+  Save, Upload, Link, Copy, Pencil, Trash2, FolderOpen, FileCode, Printer, Layers, Box, PenTool,
+  Pin, X, LineChart, Undo2, Redo2, AlertTriangle, CheckCircle2, FileText
 } from 'lucide-react';
+import {
+  DEFAULT_PITCH, SWEET_SPOT, IN_TO_MM, IN_TO_M, KGM2_TO_LBIN2, MPS_TO_MPH, NM_TO_OZIN, unitFormatters,
+  MATERIALS, PRESETS, DEFAULT_PARAMS,
+  CUSTOM_MIN_GAP, getWidthAt, sampleProfile, profileToControlPoints, integrateAnalytic, buildOutline, polygonProperties, outlineToPath,
+  FLYWHEEL_BANDS, analyzeAero, analyzeBlade, solveBalanceAsync, sweepParameter, validateDesign,
+  createDesign, parseDesign, encodeDesignHash, resolveInitialDesign,
+} from './blade-engine.js';
+import {
+  KERF_PRESETS, bladeCutGeometry, cutHoleRadius, buildTemplateSVG, buildDXF,
+  layoutCutSheets, cutSheetGeometry, buildCutSheetSVG, PAPER_SIZES, buildTiledPDF,
+} from './blade-exporters.js';
+import { parseSVGOutline, parseDXFOutline, outlineToStations } from './blade-importers.js';
+import { buildReportHTML } from './blade-report.js';
+import { vec3, hubDimensions, buildHubSolid, buildHubMeshAsync, buildSTL, build3MF } from './hub-generator.js';
+
+const STORAGE_KEYS = {
+  current: 'whirligig-blade-designer.current',
+  library: 'whirligig-blade-designer.library',
+  materials: 'whirligig-blade-designer.materials',
+};
+
+// Params stored in inches that must be converted for metric display
+const LENGTH_KEYS = ['exposedLength', 'kerfOffset', 'tabLength', 'tabWidth', 'rootWidth', 'tipWidth', 'pinHoleSize', 'pinHoleOffset', 'offSpecTolerance', 'thickness', 'hubDiameter', 'sheetWidth', 'sheetHeight', 'sheetMargin', 'partSpacing', 'boreDiameter', 'printClearance'];
+
+// Params the printed hub is built from; other edits leave the hub model alone
+const HUB_KEYS = ['hubDiameter', 'boreDiameter', 'quantity', 'pitch', 'tabLength', 'tabWidth', 'thickness', 'printClearance', 'hasPinHole', 'pinHoleSize', 'pinHoleOffset'];
+const pickHubInputs = (p) => Object.fromEntries(HUB_KEYS.map(key => [key, p[key]]));
+
+// Range of each length typed into a text field, in inches. Typed values are
+// clamped to it as the sliders clamp theirs.
+const LENGTH_LIMITS = {
+  exposedLength: [4, 18],
+  rootWidth: [0.5, 3.5],
+  tipWidth: [0.5, 5],
+  tabLength: [0.25, 2],
+  tabWidth: [0.25, 4],
+  pinHoleSize: [0.03, 1],
+  pinHoleOffset: [0, 2],
+  offSpecTolerance: [0, 0.25],
+  hubDiameter: [1, 6],
+  thickness: [0.01, 1],
+  boreDiameter: [0, 2],
+  printClearance: [0, 0.05],
+  kerfOffset: [0, 0.25],
+  sheetWidth: [1, 120],
+  sheetHeight: [1, 120],
+  sheetMargin: [0, 4],
+  partSpacing: [0, 2],
+};
+
+// Params the sweep chart can step, with the range it offers by default.
+// `styles` limits a shape param to the blade styles that use it.
+const SWEEP_PARAMETERS = [
+  { key: 'widthPosition', label: 'Swell Position', min: 0.1, max: 0.9, styles: ['leaf'] },
+  { key: 'taperSharpness', label: 'Sharpness', min: 0, max: 1, styles: ['leaf'] },
+  { key: 'edgeCurvature', label: 'Curvature', min: 0.2, max: 0.8, styles: ['rounded'] },
+  { key: 'exposedLength', label: 'Exposed Length', min: 4, max: 18 },
+  { key: 'rootWidth', label: 'Root Width', min: 0.5, max: 3.5, styles: ['leaf', 'rounded'] },
+  { key: 'tipWidth', label: 'End Width', min: 0.5, max: 5, styles: ['leaf', 'rounded'] },
+  { key: 'tabLength', label: 'Tab Length', min: 0.25, max: 2 },
+  { key: 'hubDiameter', label: 'Hub Diameter', min: 1, max: 6 },
+  { key: 'pitch', label: 'Pitch (°)', min: 5, max: 60 },
+];
+
+// Text-field string for one numeric param; lengths are stored in inches
+const formatInputValue = (key, value, unit) => {
+  if (!LENGTH_KEYS.includes(key)) return value.toString();
+  const displayVal = unit === 'metric' ? value * IN_TO_MM : value;
+  return parseFloat(displayVal.toFixed(unit === 'metric' ? 2 : 3)).toString();
+};
+
+// Text-field strings for every numeric param, in the given display unit
+const buildInputStates = (p, unit) => {
+  const states = {};
+  Object.keys(p).forEach(key => {
+    if (typeof p[key] === 'number') states[key] = formatInputValue(key, p[key], unit);
+  });
+  return states;
+};
 
 /**
  * Whirligig Blade Designer
@@ -15,216 +96,372 @@ import {
  */
 const App = () => {
   // --- Constants ---
-  const IN_TO_MM = 25.4;
   const IN_TO_PX = 40; 
   const EXPORT_DPI = 150; 
-  const DEFAULT_PITCH = 25; 
-  const HUB_DIAMETER_FIXED = 3.5; 
-
-  // --- Design Presets (Calibrated for the 35-42% Balance Range) ---
-  const PRESETS = {
-    leaf: {
-      rootWidth: 1.75,     
-      tipWidth: 2.5,      
-      tipRadius: 0.65,    
-      widthPosition: 0.6, 
-      taperSharpness: 0.4,
-      edgeCurvature: 0.5,
-    },
-    rounded: {
-      rootWidth: 2.5,     
-      tipWidth: 1.25,     
-      tipRadius: 0.5,     
-      widthPosition: 0.5,
-      taperSharpness: 0.5,
-      edgeCurvature: 0.38, 
+  const MAX_QUANTITY = 12;
+  const HUB_VIEW_TILT = 35; // degrees the preview camera looks down
+  const HUB_COLOR = [96, 165, 250];
+  const HUB_BUILD_DELAY_MS = 500; // the hub model is rebuilt once hub edits pause this long
+  const MAX_CUSTOM_HALF_WIDTH = 4; // inches, keeps dragged points inside the view
+  const MAX_PINNED = 4;
+  const PIN_COLORS = ['#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+  const SWEEP_STEPS = 40;
+  const MAX_HISTORY = 100;
+  const HISTORY_DEBOUNCE_MS = 400; // edits closer together than this are one undo step
+
+  // A shared link wins over the autosaved working copy, which wins over the defaults
+  const [startup] = useState(() => {
+    if (typeof window === 'undefined') return { design: null, error: null };
+    try {
+      return resolveInitialDesign(window.location.hash, window.localStorage.getItem(STORAGE_KEYS.current));
+    } catch (err) {
+      return { design: null, error: `Could not read the autosaved design: ${err.message}` };
     }
-  };
+  });
+  const initialDesign = startup.design;
 
   // --- UI State ---
-  const [unit, setUnit] = useState('imperial'); 
+  const [unit, setUnit] = useState(initialDesign ? initialDesign.unit : 'imperial'); 
   const [isSidebarOpen, setIsSidebarOpen] = useState(true);
+  const [viewMode, setViewMode] = useState('blade'); // 'blade' | 'rotor' | 'aero' | 'hub' | 'sweep'
+  const [hubViewAngle, setHubViewAngle] = useState(30); // degrees
+  const [windSpeed, setWindSpeed] = useState(4); // m/s
+  const [solverTarget, setSolverTarget] = useState({ cgPercent: "38", flywheel: '', freeTipWidth: false });
+  const [solutions, setSolutions] = useState([]);
+  const [closestSolution, setClosestSolution] = useState(null); // best miss when no design meets the target
+  const [solverProgress, setSolverProgress] = useState(null); // 0–1 while a search runs
+  const solverAbort = useRef(null); // aborts the search still running
+  const solvedFor = useRef(null); // the params the listed solutions belong to
+  // Saved materials live beside the library, so designs that name them keep their label
+  const [customMaterials, setCustomMaterials] = useState(() => {
+    if (typeof window === 'undefined') return [];
+    try {
+      const list = JSON.parse(window.localStorage.getItem(STORAGE_KEYS.materials)) || [];
+      return list.filter(m => m && typeof m.id === 'string' && typeof m.label === 'string' && m.density > 0 && m.thickness > 0);
+    } catch (err) { return []; }
+  });
+  const [designName, setDesignName] = useState(initialDesign ? initialDesign.name : 'Untitled Blade');
+  const [library, setLibrary] = useState(() => {
+    if (typeof window === 'undefined') return [];
+    try { return JSON.parse(window.localStorage.getItem(STORAGE_KEYS.library)) || []; } catch (err) { return []; }
+  });
 
   // --- Parameter State ---
-  const [params, setParams] = useState({
-    exposedLength: 10.5,
-    tabLength: 1.0,
-    tabWidth: 2.25,
-    ...PRESETS.leaf,
-    kerfOffset: 0.005, 
-    tipStyle: 'leaf',
-    quantity: 5, 
-    hasPinHole: true,
-    pinHoleSize: 0.125,
-    pinHoleOffset: 0.5,
-  });
+  const [params, setParams] = useState(initialDesign ? initialDesign.params : DEFAULT_PARAMS);
 
   // Local state for input strings to maintain UI fluidity
-  const [inputStates, setInputStates] = useState({
-    exposedLength: "10.5", tabLength: "1.0", tabWidth: "2.25",
-    rootWidth: "1.75", tipWidth: "2.5", pinHoleSize: "0.125",
-    pinHoleOffset: "0.5"
-  });
+  const [inputStates, setInputStates] = useState(() => buildInputStates(params, unit));
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [showCutLine, setShowCutLine] = useState(true);
+  const [pdfPaper, setPdfPaper] = useState(unit === 'metric' ? 'a4' : 'letter');
+  const importInputRef = useRef(null);
+  const outlineInputRef = useRef(null);
+  const bladeGroupRef = useRef(null);
+  const [dragPoint, setDragPoint] = useState(null); // index of the custom point being dragged
+  const [pinned, setPinned] = useState([]); // designs overlaid for comparison: { id, name, params, color }
+  const [sweep, setSweep] = useState({ key: 'exposedLength', from: 4, to: 18 }); // range in stored units
+  const [storageError, setStorageError] = useState(startup.error); // shown until dismissed
+
+  // A shared link is read once; dropping it from the address bar lets a
+  // refresh reopen the autosaved edits rather than the original link
+  useEffect(() => {
+    if (/design=/.test(window.location.hash)) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }, []);
+
+  // Autosave the working design so a refresh doesn't lose it
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEYS.current, JSON.stringify(createDesign(params, unit, designName)));
+    } catch (err) {
+      setStorageError(`Autosave failed (${err.message}). Export or save the design before closing the page.`);
+    }
+  }, [params, unit, designName]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEYS.library, JSON.stringify(library));
+    } catch (err) {
+      setStorageError(`The design library could not be saved (${err.message}).`);
+    }
+  }, [library]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEYS.materials, JSON.stringify(customMaterials));
+    } catch (err) {
+      setStorageError(`Saved materials could not be stored (${err.message}).`);
+    }
+  }, [customMaterials]);
+
+  // --- Undo History ---
+  // Params are committed once edits pause, so a slider drag or a typed
+  // number is a single step
+  const [history, setHistory] = useState({ past: [], present: params, future: [] });
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setHistory(h => (h.present === params ? h : { past: [...h.past, h.present].slice(-MAX_HISTORY), present: params, future: [] }));
+    }, HISTORY_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [params]);
+
+  // Balance results belong to the design they were found for; clearing them
+  // also abandons a search still running
+  const clearSolutions = () => {
+    if (solverAbort.current) solverAbort.current.abort();
+    solverAbort.current = null;
+    solvedFor.current = null;
+    setSolverProgress(null);
+    setSolutions([]);
+    setClosestSolution(null);
+  };
+
+  // Any edit other than applying a solution makes the results stale
+  useEffect(() => {
+    if (solvedFor.current && params !== solvedFor.current) clearSolutions();
+  }, [params]);
+
+  const restoreParams = (p) => {
+    setParams(p);
+    setInputStates(buildInputStates(p, unit));
+  };
+
+  const canUndo = params !== history.present || history.past.length > 0;
+  const canRedo = params === history.present && history.future.length > 0;
+
+  const undo = () => {
+    // Edits not yet committed are undone first, back to the last step
+    if (params !== history.present) {
+      setHistory(h => ({ ...h, future: [params, ...h.future] }));
+      restoreParams(history.present);
+      return;
+    }
+    if (!history.past.length) return;
+    const previous = history.past[history.past.length - 1];
+    setHistory(h => ({ past: h.past.slice(0, -1), present: previous, future: [h.present, ...h.future] }));
+    restoreParams(previous);
+  };
+
+  const redo = () => {
+    if (!canRedo) return;
+    const next = history.future[0];
+    setHistory(h => ({ past: [...h.past, h.present], present: next, future: h.future.slice(1) }));
+    restoreParams(next);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const el = e.target;
+      const isTextField = el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT'
+        || (el.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button'].includes(el.type));
+      if (isTextField) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [history, params, unit]);
 
   // --- Helpers ---
   const toDisplayValue = (val) => unit === 'metric' ? (val * IN_TO_MM) : val;
   const fromDisplayValue = (val) => unit === 'metric' ? val / IN_TO_MM : val;
   const unitLabel = unit === 'imperial' ? 'in' : 'mm';
+  // Physical quantities are computed in SI and shown in the unit system's customary units
+  const {
+    length: formatLength, area: formatArea, mass: formatMass, inertia: formatInertia,
+    speed: formatSpeed, torque: formatTorque, imbalance: formatImbalance,
+  } = unitFormatters(unit);
+  const toDisplayTorque = (nm) => unit === 'metric' ? nm : nm * NM_TO_OZIN;
+  const toDisplayInertia = (kgm2) => unit === 'metric' ? kgm2 : kgm2 * KGM2_TO_LBIN2;
 
   const toggleUnits = () => {
     const newUnit = unit === 'imperial' ? 'metric' : 'imperial';
     setUnit(newUnit);
-    const newStates = {};
-    Object.keys(params).forEach(key => {
-      if (typeof params[key] !== 'number') return;
-      const val = params[key];
-      const needsConversion = ['exposedLength', 'tabLength', 'tabWidth', 'rootWidth', 'tipWidth', 'pinHoleSize', 'pinHoleOffset'].includes(key);
-      const displayVal = needsConversion ? (newUnit === 'metric' ? (val * IN_TO_MM) : val) : val;
-      newStates[key] = needsConversion ? displayVal.toFixed(newUnit === 'metric' ? 1 : 3) : val.toString();
-    });
-    setInputStates(newStates);
+    setInputStates(buildInputStates(params, newUnit));
   };
 
   const handleStyleChange = (style) => {
     const preset = PRESETS[style];
     const newParams = { ...params, ...preset, tipStyle: style };
+    // A custom shape starts as a trace of the blade on screen
+    if (style === 'custom' && !params.customProfile.length) {
+      newParams.customProfile = profileToControlPoints(profile, params.exposedLength);
+    }
     setParams(newParams);
     
     const newStates = { ...inputStates };
-    Object.keys(preset).forEach(key => {
-      const val = preset[key];
-      const needsConversion = ['rootWidth', 'tipWidth'].includes(key);
-      const displayVal = needsConversion ? (unit === 'metric' ? (val * IN_TO_MM) : val) : val;
-      newStates[key] = needsConversion ? displayVal.toFixed(unit === 'metric' ? 1 : 3) : val.toString();
-    });
+    Object.keys(preset).forEach(key => { newStates[key] = formatInputValue(key, preset[key], unit); });
     setInputStates(newStates);
   };
 
-  // --- Geometry Engine ---
-  const getWidthAt = (x, p) => {
-    const hRoot = p.rootWidth / 2;
-    const hMax = p.tipWidth / 2;
-    const L = Math.max(0.1, p.exposedLength);
-    if (x < 0) return p.tabWidth / 2;
-    
-    if (p.tipStyle === 'leaf') {
-      const bX = L * p.widthPosition;
-      const distToTip = L - bX;
-      if (x <= bX) {
-        const t = x / Math.max(0.001, bX);
-        return hRoot + (hMax - hRoot) * Math.sin((t * Math.PI) / 2);
-      } else {
-        const t = (x - bX) / Math.max(0.001, distToTip);
-        const bluntness = p.tipRadius;
-        const sharpness = 1 + (p.taperSharpness * 3);
-        const curve = Math.pow(Math.max(0, 1 - t), sharpness) * (1 - bluntness) + Math.sqrt(Math.max(0, 1 - t * t)) * bluntness;
-        return hMax * curve;
-      }
-    } else {
-      const t = x / L;
-      const curvePower = p.edgeCurvature < 0.5 ? 1 + (0.5 - p.edgeCurvature) * 4 : 1 / (1 + (p.edgeCurvature - 0.5) * 4);
-      let w = hRoot + (hMax - hRoot) * Math.pow(t, curvePower);
-      if (x > L - p.tipRadius) {
-        const tr = Math.max(0.01, p.tipRadius);
-        const ratio = (x - (L - tr)) / tr;
-        const circ = hMax * Math.sqrt(Math.max(0, 1 - ratio * ratio));
-        w = Math.min(w, circ);
-      }
-      return w;
-    }
-  };
-
   // --- Physics Simulation ---
+  const profile = useMemo(() => sampleProfile(params), [params]);
+
   const derived = useMemo(() => {
-    const hubR = HUB_DIAMETER_FIXED / 2;
-    let totalArea = params.tabLength * params.tabWidth;
-    let weightedX = (-params.tabLength / 2) * (params.tabLength * params.tabWidth);
-    let momentOfInertia = 0;
-    const steps = 60;
-    const dx = params.exposedLength / steps;
-    
-    for (let i = 0; i < steps; i++) {
-      const x = (i + 0.5) * dx;
-      const width = getWidthAt(x, params) * 2;
-      const area = width * dx;
-      totalArea += area;
-      weightedX += x * area;
-      const r = hubR + x;
-      momentOfInertia += (r * r) * area;
+    const blade = analyzeBlade(params, profile);
+    const sweetStart = params.exposedLength * SWEET_SPOT.start;
+    const sweetEnd = params.exposedLength * SWEET_SPOT.end;
+
+    // Fidelity check: analytic width function vs. the polygon that is actually exported
+    const analytic = integrateAnalytic(params);
+    const outline = polygonProperties(buildOutline(params, profile));
+    const areaError = ((outline.area - analytic.area) / Math.max(0.001, analytic.area)) * 100;
+    const cgError = ((outline.cgX - analytic.cgX) / Math.max(0.001, params.exposedLength)) * 100;
+
+    return { ...blade, sweetStart, sweetEnd, areaError, cgError };
+  }, [params, profile]);
+
+  // --- Rotor Assembly ---
+  // Blades are viewed in the rotor plane, so each planform is foreshortened
+  // by cos(pitch). Neighbouring blades collide when their angular footprints
+  // at the same radius add up to more than the slot spacing of 360/N degrees.
+  const rotor = useMemo(() => {
+    const hubR = params.hubDiameter / 2;
+    const cosPitch = Math.cos(params.pitch * Math.PI / 180);
+    const quantity = Math.max(1, Math.round(params.quantity));
+    const halfAngleAt = (r, halfWidth) => Math.asin(Math.min(1, (halfWidth * cosPitch) / Math.max(0.001, r)));
+
+    // The tab enters the hub at the rim, so the root check uses the wider of tab and root
+    let maxHalfAngle = halfAngleAt(hubR, Math.max(params.tabWidth / 2, profile[0].h));
+    profile.forEach(({ x, h }) => {
+      maxHalfAngle = Math.max(maxHalfAngle, halfAngleAt(hubR + x, h));
+    });
+
+    const slotAngle = (Math.PI * 2) / quantity;
+    const clearanceAngle = slotAngle - maxHalfAngle * 2;
+    const maxBlades = maxHalfAngle >= Math.PI / 2 ? 1 : Math.floor(Math.PI / maxHalfAngle);
+
+    // Static imbalance: one blade cut oversize by the tolerance on every edge
+    // adds a strip of area whose first moment about the axle is left unbalanced.
+    const t = params.offSpecTolerance;
+    const L = params.exposedLength;
+    const Lt = params.tabLength;
+    const extraArea = 2 * t * (L + Lt);
+    const extraMoment = 2 * t * (hubR * (L + Lt) + (L * L - Lt * Lt) / 2);
+    const imbalanceOffset = extraMoment / Math.max(0.001, quantity * derived.totalArea + extraArea);
+    const imbalanceMoment = derived.arealDensity * extraMoment * Math.pow(IN_TO_M, 3); // kg·m
+
+    return {
+      hubR, cosPitch, quantity, maxBlades,
+      fits: clearanceAngle >= 0,
+      clearanceDeg: (clearanceAngle * 180) / Math.PI,
+      rootGap: clearanceAngle * hubR,
+      totalMass: derived.mass * quantity,
+      totalInertia: derived.momentOfInertia * quantity,
+      imbalanceMoment, imbalanceOffset,
+    };
+  }, [params, profile, derived]);
+
+  const cutSheets = useMemo(() => layoutCutSheets(params, profile), [params, profile]);
+
+  // --- Validation ---
+  const issues = useMemo(() => {
+    const list = validateDesign(params, profile, { formatLength });
+    if (!rotor.fits) {
+      list.push({ id: 'rotor-overlap', severity: 'warning', message: `${rotor.quantity} blades overlap at the hub; this profile fits ${rotor.maxBlades} at most.`, at: null });
     }
-    
-    const cgX = weightedX / Math.max(0.001, totalArea);
-    const cgPercent = (cgX / Math.max(0.001, params.exposedLength)) * 100;
-    const sweetStart = params.exposedLength * 0.35;
-    const sweetEnd = params.exposedLength * 0.42;
-    const pitchFactor = Math.sin(DEFAULT_PITCH * Math.PI / 180);
-    const torqueDifficulty = (cgPercent / 40) * (pitchFactor / 0.42); 
-    
-    let sensitivity = "High";
-    if (torqueDifficulty > 1.2) sensitivity = "Low (Heavy Tip)";
-    else if (torqueDifficulty > 0.9) sensitivity = "Moderate";
-    
-    const flywheelScore = momentOfInertia / 100; 
-    let flywheelRating = "Snappy";
-    if (flywheelScore > 14) flywheelRating = "High Coast";
-    else if (flywheelScore > 8) flywheelRating = "Steady";
-    
-    return { cgX, cgPercent, sweetStart, sweetEnd, sensitivity, flywheelRating };
-  }, [params]);
+    return list;
+  }, [params, profile, rotor, unit]);
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+  // --- 3D Printed Hub ---
+  const hub = useMemo(() => hubDimensions(params), [params]);
+  // The CSG model takes up to seconds for many blades, so it is only built
+  // while the hub view is showing (or on export), from the hub's own inputs,
+  // and not until a slider drag or typed number has settled
+  const [hubInputs, setHubInputs] = useState(() => pickHubInputs(params));
+  const hubPending = HUB_KEYS.some(key => hubInputs[key] !== params[key]);
+
+  useEffect(() => {
+    if (!hubPending) return;
+    const timer = setTimeout(() => setHubInputs(pickHubInputs(params)), HUB_BUILD_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [params, hubPending]);
+
+  const hubSolid = useMemo(() => (viewMode === 'hub' ? buildHubSolid(hubInputs) : null), [viewMode, hubInputs]);
+  const [hubExport, setHubExport] = useState(null); // { format, progress } while a hub file is built
+
+  // Painter's-algorithm projection: drop faces turned away, then draw far to near
+  const hubPreview = useMemo(() => {
+    if (!hubSolid) return null;
+    const turn = (hubViewAngle * Math.PI) / 180;
+    const tilt = (HUB_VIEW_TILT * Math.PI) / 180;
+    const rotate = (v) => ({ x: v.x * Math.cos(turn) - v.y * Math.sin(turn), y: v.x * Math.sin(turn) + v.y * Math.cos(turn), z: v.z });
+    const eye = { x: 0, y: -Math.cos(tilt), z: Math.sin(tilt) };
+    const light = vec3.unit({ x: -0.4, y: -0.7, z: 0.6 });
+    const faces = hubSolid.polygons.flatMap(({ vertices, plane }) => {
+      const normal = rotate(plane.normal);
+      if (vec3.dot(normal, eye) <= 0) return [];
+      const pts = vertices.map(rotate);
+      const shade = 0.35 + 0.65 * Math.max(0, vec3.dot(normal, light));
+      return [{
+        depth: pts.reduce((sum, v) => sum + vec3.dot(v, eye), 0) / pts.length,
+        points: pts.map(v => `${v.x.toFixed(4)},${(-(v.y * Math.sin(tilt) + v.z * Math.cos(tilt))).toFixed(4)}`).join(' '),
+        fill: `rgb(${HUB_COLOR.map(c => Math.round(c * shade)).join(',')})`,
+      }];
+    }).sort((a, b) => a.depth - b.depth);
+    return { faces, extent: hubSolid.dims.radius * 1.25 + hubSolid.dims.height / 2 };
+  }, [hubSolid, hubViewAngle]);
+
+  // --- Aerodynamic Start-up ---
+
+  const aero = useMemo(() => {
+    const maxWindSpeed = Math.min(25, Math.max(10, derived.cutInSpeed * 3));
+    return { ...analyzeAero(params, profile, { windSpeed, maxWindSpeed }), maxWindSpeed };
+  }, [params, profile, windSpeed, derived.cutInSpeed]);
+
+  // --- Compare & Sweep ---
+  // Deltas in the comparison table are each pinned design minus the current one
+  const comparison = useMemo(() => pinned.map(pin => ({ ...pin, blade: analyzeBlade(pin.params) })), [pinned]);
+
+  // Shape params only apply to their own styles; fall back to the first that applies
+  const sweepOptions = SWEEP_PARAMETERS.filter(opt => !opt.styles || opt.styles.includes(params.tipStyle));
+  const sweepOption = sweepOptions.find(opt => opt.key === sweep.key) || sweepOptions[0];
+  const sweepRange = sweepOption.key === sweep.key ? sweep : { key: sweepOption.key, from: sweepOption.min, to: sweepOption.max };
+
+  const sweepCurve = useMemo(() => (viewMode === 'sweep'
+    ? sweepParameter(params, sweepRange.key, sweepRange.from, sweepRange.to, SWEEP_STEPS)
+    : null), [viewMode, params, sweepRange.key, sweepRange.from, sweepRange.to]);
 
   // --- Graphics Path ---
   const generateBladePath = (p, isClosed = true, scale = IN_TO_PX, applyKerf = false) => {
-    const k = applyKerf ? p.kerfOffset * scale : 0;
-    const totalX = p.exposedLength * scale + k;
-    const tabStartX = -p.tabLength * scale - k;
-    const hTab = (p.tabWidth / 2) * scale;
-    const hRoot = (p.rootWidth / 2) * scale;
-    const hTip = (p.tipWidth / 2) * scale;
-    
-    let path = `M ${tabStartX} ${-hTab - k} L ${tabStartX} ${hTab + k} L 0 ${hTab + k} L 0 ${hRoot + k} `;
-    if (p.tipStyle === 'leaf') {
-      const bulgeX = p.exposedLength * p.widthPosition * scale;
-      const bulgeY = hTip + k;
-      const distToTip = totalX - bulgeX;
-      path += `C ${bulgeX * 0.5} ${hRoot + k} ${bulgeX * 0.85} ${bulgeY} ${bulgeX} ${bulgeY} `;
-      path += `C ${bulgeX + (distToTip * (1 - p.taperSharpness))} ${bulgeY} ${totalX} ${bulgeY * (1 - p.tipRadius)} ${totalX} 0 `;
-      path += `C ${totalX} ${-bulgeY * (1 - p.tipRadius)} ${bulgeX + (distToTip * (1 - p.taperSharpness))} ${-bulgeY} ${bulgeX} ${-bulgeY} `;
-      path += `C ${bulgeX * 0.85} ${-bulgeY} ${bulgeX * 0.5} ${-hRoot - k} 0 ${-hRoot - k} `;
-    } else {
-      const cpX = totalX * 0.5;
-      const cpY = (hRoot + (hTip - hRoot) * 0.5) + (p.edgeCurvature - 0.5) * 100;
-      const r = Math.max(0.001, Math.min(p.tipRadius * scale, totalX * 0.3, hTip));
-      path += `Q ${cpX} ${cpY} ${totalX - r} ${hTip + k} Q ${totalX} ${hTip + k} ${totalX} 0 Q ${totalX} ${-hTip - k} ${totalX - r} ${-hTip - k} Q ${cpX} ${-cpY} 0 ${-hRoot - k} `;
-    }
-    path += `L 0 ${-hRoot - k} L 0 ${-hTab - k} Z`;
-    return path;
+    const stations = p === params ? profile : sampleProfile(p);
+    return outlineToPath(buildOutline(p, stations, applyKerf ? p.kerfOffset : 0), scale);
   };
 
   // --- Exports ---
-  const downloadSVG = () => {
-    const internalScale = 1.0; 
-    const maxW = params.exposedLength + params.tabLength;
-    const maxH = Math.max(params.rootWidth, params.tabWidth, params.tipWidth);
-    const physicalWidth = maxW + 1.0;
-    const physicalHeight = maxH + 1.0;
-    const svgHeader = `<svg xmlns="http://www.w3.org/2000/svg" width="${physicalWidth}in" height="${physicalHeight}in" viewBox="0 0 ${physicalWidth} ${physicalHeight}">`;
-    const yOff = (maxH / 2) + 0.5;
-    const xOff = params.tabLength + 0.5;
-    const pathData = generateBladePath(params, true, internalScale, true);
-    let content = `<path d="${pathData}" transform="translate(${xOff}, ${yOff})" fill="none" stroke="black" stroke-width="0.01" />`;
-    if (params.hasPinHole) {
-      content += `<circle cx="${xOff - params.pinHoleOffset}" cy="${yOff}" r="${params.pinHoleSize / 2}" fill="none" stroke="red" stroke-width="0.01" />`;
-    }
-    const blob = new Blob([svgHeader + content + '</svg>'], { type: 'image/svg+xml' });
+  const downloadBlob = (blob, filename) => {
     const link = document.createElement('a'); link.href = URL.createObjectURL(blob);
-    link.download = `whirligig_blade_template.svg`;
+    link.download = filename;
     document.body.appendChild(link); link.click(); document.body.removeChild(link);
   };
 
+  // Cut and print files of a design with errors only go out once confirmed
+  const confirmExport = () => {
+    const errors = issues.filter(issue => issue.severity === 'error');
+    if (!errors.length) return true;
+    const list = errors.map(issue => `• ${issue.message}`).join('\n');
+    return window.confirm(`This design has ${errors.length === 1 ? 'a problem' : `${errors.length} problems`} that will cut a bad part:\n\n${list}\n\nExport anyway?`);
+  };
+
+  const downloadSVG = () => {
+    if (!confirmExport()) return;
+    downloadBlob(new Blob([buildTemplateSVG(params, profile)], { type: 'image/svg+xml' }), 'whirligig_blade_template.svg');
+  };
+
   const downloadJPG = () => {
+    if (!confirmExport()) return;
     const scale = EXPORT_DPI; 
     const maxW = params.exposedLength + params.tabLength;
-    const maxH = Math.max(params.rootWidth, params.tabWidth, params.tipWidth);
+    const maxH = 2 * Math.max(params.tabWidth / 2, ...profile.map(st => st.h));
     const canvas = document.createElement('canvas');
     canvas.width = (maxW + 2) * scale;
     canvas.height = (maxH + 2) * scale; 
@@ -251,10 +488,295 @@ const App = () => {
     document.body.appendChild(link); link.click(); document.body.removeChild(link);
   };
 
+  // DXF and PDF are cut files, so like the SVG they carry the kerf offset
+  const downloadDXF = () => {
+    if (!confirmExport()) return;
+    const dxf = buildDXF(bladeCutGeometry(params, profile, params.kerfOffset), unit);
+    downloadBlob(new Blob([dxf], { type: 'application/dxf' }), 'whirligig_blade_template.dxf');
+  };
+
+  // Built in steps so the page stays live; the preview's solid is reused when it is current
+  const downloadHub = async (format) => {
+    if (!confirmExport()) return;
+    setHubExport({ format, progress: 0 });
+    const { triangles, dims } = await buildHubMeshAsync(params, {
+      solid: hubSolid && !hubPending ? hubSolid : null,
+      onProgress: (progress) => setHubExport({ format, progress }),
+    });
+    setHubExport(null);
+    if (format === 'stl') {
+      downloadBlob(new Blob([buildSTL(triangles, dims.height / 2)], { type: 'model/stl' }), 'whirligig_hub.stl');
+    } else {
+      downloadBlob(new Blob([build3MF(triangles, dims.height / 2, designName)], { type: 'model/3mf' }), 'whirligig_hub.3mf');
+    }
+  };
+
+  // One file per sheet; every sheet but the last is identical
+  const downloadCutSheets = (format) => {
+    if (!confirmExport()) return;
+    cutSheets.sheets.forEach((_, i) => {
+      const filename = `whirligig_cut_sheet_${i + 1}_of_${cutSheets.sheetCount}.${format}`;
+      if (format === 'dxf') downloadBlob(new Blob([buildDXF(cutSheetGeometry(cutSheets, i), unit)], { type: 'application/dxf' }), filename);
+      else downloadBlob(new Blob([buildCutSheetSVG(cutSheets, i)], { type: 'image/svg+xml' }), filename);
+    });
+  };
+
+  const downloadPDF = () => {
+    if (!confirmExport()) return;
+    const { pdf } = buildTiledPDF(bladeCutGeometry(params, profile, params.kerfOffset), { paper: pdfPaper, unit, title: designName });
+    downloadBlob(new Blob([pdf], { type: 'application/pdf' }), 'whirligig_blade_tiled_template.pdf');
+  };
+
+  // The build sheet names the material as the sidebar does, custom entries included
+  const downloadReport = () => {
+    if (!confirmExport()) return;
+    const html = buildReportHTML(params, { name: designName, unit, stations: profile, issues, materialLabel: materialOptions[params.material].label });
+    downloadBlob(new Blob([html], { type: 'text/html' }), `${fileSlug(designName)}_build_sheet.html`);
+  };
+
   const handleTextChange = (key, val) => {
     setInputStates(prev => ({ ...prev, [key]: val }));
     const num = parseFloat(val);
-    if (!isNaN(num)) setParams(p => ({ ...p, [key]: fromDisplayValue(Math.max(0, num)) }));
+    const [min, max] = LENGTH_LIMITS[key];
+    if (!isNaN(num)) setParams(p => ({ ...p, [key]: Math.min(max, Math.max(min, fromDisplayValue(num))) }));
+  };
+
+  const handleCountChange = (key, val, min = 1, max = MAX_QUANTITY) => {
+    setInputStates(prev => ({ ...prev, [key]: val }));
+    const num = parseInt(val, 10);
+    if (!isNaN(num)) setParams(p => ({ ...p, [key]: Math.min(max, Math.max(min, num)) }));
+  };
+
+  // --- Materials ---
+  const materialOptions = { ...MATERIALS, ...Object.fromEntries(customMaterials.map(m => [m.id, m])) };
+  // A loaded design may name a custom material this browser doesn't know
+  if (!materialOptions[params.material]) {
+    materialOptions[params.material] = { label: 'Custom (from design)', density: params.density, thickness: params.thickness };
+  }
+
+  const handleMaterialChange = (id) => {
+    const material = materialOptions[id];
+    setParams(p => ({ ...p, material: id, density: material.density, thickness: material.thickness }));
+    setInputStates(prev => ({
+      ...prev,
+      density: material.density.toString(),
+      thickness: formatInputValue('thickness', material.thickness, unit),
+    }));
+  };
+
+  // A typed density no longer matches any named material, saved ones
+  // included, so the picker moves to the custom entry
+  const handleDensityChange = (val) => {
+    setInputStates(prev => ({ ...prev, density: val }));
+    const num = parseFloat(val);
+    if (!isNaN(num)) setParams(p => ({ ...p, density: Math.max(0, num), material: 'custom' }));
+  };
+
+  const saveCustomMaterial = () => {
+    const label = window.prompt('Name this material', 'My Material');
+    if (!label) return;
+    const entry = { id: `custom-${Date.now()}`, label, density: params.density, thickness: params.thickness };
+    setCustomMaterials(list => [...list, entry]);
+    setParams(p => ({ ...p, material: entry.id }));
+  };
+
+  const kerfPreset = Object.keys(KERF_PRESETS).find(id => Math.abs(KERF_PRESETS[id].offset - params.kerfOffset) < 1e-6) || 'custom';
+
+  const handleKerfPresetChange = (id) => {
+    if (!KERF_PRESETS[id]) return;
+    const offset = KERF_PRESETS[id].offset;
+    setParams(p => ({ ...p, kerfOffset: offset }));
+    setInputStates(prev => ({ ...prev, kerfOffset: formatInputValue('kerfOffset', offset, unit) }));
+  };
+
+  // --- Design Files & Library ---
+  const fileSlug = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'whirligig_blade';
+
+  const loadDesign = (design) => {
+    setParams(design.params);
+    setUnit(design.unit);
+    setInputStates(buildInputStates(design.params, design.unit));
+    setDesignName(design.name);
+  };
+
+  const exportDesignJSON = () => {
+    const json = JSON.stringify(createDesign(params, unit, designName), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${fileSlug(designName)}.json`);
+  };
+
+  const importDesignJSON = async (file) => {
+    if (!file) return;
+    try {
+      loadDesign(parseDesign(await file.text()));
+    } catch (err) {
+      window.alert(`Could not import design: ${err.message}`);
+    }
+  };
+
+  // The link goes to the clipboard only; the page's own address is left alone
+  const copyShareLink = async () => {
+    const link = `${window.location.href.split('#')[0]}#design=${encodeDesignHash(createDesign(params, unit, designName))}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      window.prompt('Copy this link', link);
+    }
+  };
+
+  // Saving under an existing name updates that entry
+  const saveToLibrary = () => {
+    const design = createDesign(params, unit, designName);
+    const savedAt = new Date().toISOString();
+    setLibrary(list => list.some(entry => entry.name === designName)
+      ? list.map(entry => entry.name === designName ? { ...entry, design, savedAt } : entry)
+      : [...list, { id: `design-${Date.now()}`, name: designName, savedAt, design }]);
+  };
+
+  const loadFromLibrary = (entry) => {
+    try {
+      loadDesign({ ...parseDesign(entry.design), name: entry.name });
+    } catch (err) {
+      window.alert(`Could not load "${entry.name}": ${err.message}`);
+    }
+  };
+
+  const duplicateInLibrary = (entry) => {
+    const name = `${entry.name} (copy)`;
+    setLibrary(list => [...list, { ...entry, id: `design-${Date.now()}`, name, design: { ...entry.design, name }, savedAt: new Date().toISOString() }]);
+  };
+
+  const renameInLibrary = (entry) => {
+    const name = window.prompt('Rename design', entry.name);
+    if (!name || name === entry.name) return;
+    setLibrary(list => list.map(e => e.id === entry.id ? { ...e, name, design: { ...e.design, name } } : e));
+  };
+
+  const deleteFromLibrary = (entry) => {
+    if (!window.confirm(`Delete "${entry.name}" from the library?`)) return;
+    setLibrary(list => list.filter(e => e.id !== entry.id));
+  };
+
+  // --- Comparison ---
+  // Pins are snapshots: editing the current design afterwards leaves them as they were
+  const pinDesign = (name, pinParams) => {
+    setPinned(list => {
+      if (list.length >= MAX_PINNED) return list;
+      const color = PIN_COLORS.find(c => !list.some(pin => pin.color === c));
+      return [...list, { id: `pin-${Date.now()}`, name, params: pinParams, color }];
+    });
+  };
+
+  const pinFromLibrary = (entry) => {
+    try {
+      pinDesign(entry.name, parseDesign(entry.design).params);
+    } catch (err) {
+      window.alert(`Could not pin "${entry.name}": ${err.message}`);
+    }
+  };
+
+  const unpinDesign = (id) => setPinned(list => list.filter(pin => pin.id !== id));
+
+  const selectSweepParameter = (key) => {
+    const opt = SWEEP_PARAMETERS.find(o => o.key === key);
+    setSweep({ key, from: opt.min, to: opt.max });
+  };
+
+  // Range ends are typed in display units; length params are stored in inches
+  const setSweepEnd = (end, text) => {
+    const val = parseFloat(text);
+    if (!Number.isFinite(val)) return;
+    setSweep({ ...sweepRange, [end]: LENGTH_KEYS.includes(sweepRange.key) ? fromDisplayValue(val) : val });
+  };
+
+  // --- Auto-Balance ---
+  const applySolution = (solution) => {
+    solvedFor.current = solution.params;
+    setParams(solution.params);
+    if ('tipWidth' in solution.changes) {
+      setInputStates(prev => ({ ...prev, tipWidth: formatInputValue('tipWidth', solution.changes.tipWidth, unit) }));
+    }
+  };
+
+  // The search runs in chunks so the page stays live
+  const runSolver = async () => {
+    const targetCgPercent = parseFloat(solverTarget.cgPercent);
+    if (isNaN(targetCgPercent)) return;
+    clearSolutions();
+    const controller = new AbortController();
+    solverAbort.current = controller;
+    solvedFor.current = params;
+    setSolverProgress(0);
+    const result = await solveBalanceAsync(params, {
+      targetCgPercent,
+      targetFlywheel: solverTarget.flywheel || null,
+      freeTipWidth: solverTarget.freeTipWidth,
+    }, { onProgress: setSolverProgress, signal: controller.signal });
+    if (!result) return;
+    const { solutions: results, closest } = result;
+    solverAbort.current = null;
+    setSolverProgress(null);
+    setSolutions(results);
+    if (results.length) applySolution(results[0]);
+    else setClosestSolution(closest);
+  };
+
+  // --- Custom Profile ---
+  // Points are dragged in blade-view coordinates; either edge can be grabbed
+  // and the other mirrors it. The root and tip points only move sideways.
+  const moveControlPoint = (index, clientX, clientY) => {
+    const group = bladeGroupRef.current;
+    if (!group) return;
+    const local = new DOMPoint(clientX, clientY).matrixTransform(group.getScreenCTM().inverse());
+    setParams(p => {
+      const points = p.customProfile;
+      const last = points.length - 1;
+      const t = index === 0 ? 0 : index === last ? 1
+        : Math.min(points[index + 1].t - CUSTOM_MIN_GAP, Math.max(points[index - 1].t + CUSTOM_MIN_GAP, local.x / (IN_TO_PX * p.exposedLength)));
+      const h = Math.min(MAX_CUSTOM_HALF_WIDTH, Math.abs(local.y) / IN_TO_PX);
+      const moved = { t: Math.round(t * 1e4) / 1e4, h: Math.round(h * 1e4) / 1e4 };
+      return { ...p, customProfile: points.map((pt, i) => (i === index ? moved : pt)) };
+    });
+  };
+
+  // Splits the widest gap between points, on the current curve
+  const addControlPoint = () => {
+    setParams(p => {
+      const points = p.customProfile;
+      let gap = 0;
+      points.forEach((pt, i) => { if (i && pt.t - points[i - 1].t > points[gap + 1].t - points[gap].t) gap = i - 1; });
+      const t = (points[gap].t + points[gap + 1].t) / 2;
+      const added = { t: Math.round(t * 1e4) / 1e4, h: Math.round(getWidthAt(t * p.exposedLength, p) * 1e4) / 1e4 };
+      return { ...p, customProfile: [...points.slice(0, gap + 1), added, ...points.slice(gap + 1)] };
+    });
+  };
+
+  const removeControlPoint = (index) => {
+    // The root and tip points always stay
+    setParams(p => (index === 0 || index === p.customProfile.length - 1
+      ? p
+      : { ...p, customProfile: p.customProfile.filter((_, i) => i !== index) }));
+  };
+
+  // The imported outline is stretched to the exposed length, keeping its proportions
+  const importOutline = async (file) => {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const outline = /\.dxf$/i.test(file.name) ? parseDXFOutline(text) : parseSVGOutline(text);
+      const stations = outlineToStations(outline, params.exposedLength);
+      setParams(p => ({ ...p, tipStyle: 'custom', customProfile: profileToControlPoints(stations, p.exposedLength, { maxPoints: 24 }) }));
+    } catch (err) {
+      window.alert(`Could not import outline: ${err.message}`);
+    }
+  };
+
+  // Unitless inputs (degrees, N·m) skip the length conversion
+  const handleNumberChange = (key, val, min, max) => {
+    setInputStates(prev => ({ ...prev, [key]: val }));
+    const num = parseFloat(val);
+    if (!isNaN(num)) setParams(p => ({ ...p, [key]: Math.min(max, Math.max(min, num)) }));
   };
 
   const handleSliderChange = (key, val) => {
@@ -273,6 +795,8 @@ const App = () => {
             <h1 className="text-lg font-bold tracking-tight truncate">Blade Designer</h1>
           </div>
           <div className="flex items-center gap-1">
+            <button onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)" className="p-1.5 text-slate-500 hover:text-slate-800 disabled:opacity-30"><Undo2 size={14} /></button>
+            <button onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)" className="p-1.5 text-slate-500 hover:text-slate-800 disabled:opacity-30"><Redo2 size={14} /></button>
             <button onClick={toggleUnits} className="p-1.5 bg-slate-100 rounded hover:bg-slate-200 transition-colors flex items-center gap-1 text-[10px] font-bold uppercase"><Globe size={14} /> <span>{unit}</span></button>
             <button onClick={() => setIsSidebarOpen(!isSidebarOpen)} className="p-1.5 text-slate-400 hover:text-slate-600 md:hidden">{isSidebarOpen ? <ChevronUp size={20} /> : <ChevronDown size={20} />}</button>
           </div>
@@ -282,9 +806,10 @@ const App = () => {
           <section className="space-y-6">
             <div>
               <label className="text-[10px] font-semibold uppercase text-slate-400 mb-2 block tracking-wider">Blade Selection</label>
-              <div className="grid grid-cols-2 gap-1 bg-slate-100 p-1 rounded-lg">
+              <div className="grid grid-cols-3 gap-1 bg-slate-100 p-1 rounded-lg">
                 <button className={`flex items-center justify-center gap-2 py-2 text-xs font-bold rounded-md transition-all ${params.tipStyle === 'rounded' ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500'}`} onClick={() => handleStyleChange('rounded')}><Circle size={14} /> Round</button>
                 <button className={`flex items-center justify-center gap-2 py-2 text-xs font-bold rounded-md transition-all ${params.tipStyle === 'leaf' ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500'}`} onClick={() => handleStyleChange('leaf')}><Leaf size={14} /> Leaf</button>
+                <button className={`flex items-center justify-center gap-2 py-2 text-xs font-bold rounded-md transition-all ${params.tipStyle === 'custom' ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500'}`} onClick={() => handleStyleChange('custom')}><PenTool size={14} /> Custom</button>
               </div>
             </div>
 
@@ -301,16 +826,69 @@ const App = () => {
                     <div><label className="text-[10px] font-bold text-slate-500 block mb-1">Sharpness</label><input type="range" min="0" max="1" step="0.05" value={params.taperSharpness} onChange={(e) => setParams(p => ({...p, taperSharpness: parseFloat(e.target.value)}))} className="w-full h-2 bg-slate-200 rounded-lg appearance-none accent-blue-600" /></div>
                     <div><label className="text-[10px] font-bold text-slate-500 block mb-1">Bluntness</label><input type="range" min="0" max="1" step="0.05" value={params.tipRadius} onChange={(e) => setParams(p => ({...p, tipRadius: parseFloat(e.target.value)}))} className="w-full h-2 bg-slate-200 rounded-lg appearance-none accent-blue-600" /></div>
                   </div>
+                ) : params.tipStyle === 'custom' ? (
+                  <div className="space-y-3 bg-slate-50 p-3 rounded-xl border border-slate-100">
+                    <p className="text-[10px] text-slate-500 leading-snug">Drag the points on the blade view; the other edge mirrors. Double-click a point to remove it.</p>
+                    <div className="grid grid-cols-2 gap-2">
+                      <button onClick={addControlPoint} className="p-2 bg-white border border-slate-200 hover:border-blue-400 rounded text-[10px] font-bold text-slate-600 flex items-center justify-center gap-1"><Plus size={12} /> Add Point</button>
+                      <button onClick={() => outlineInputRef.current && outlineInputRef.current.click()} title="Trace an SVG path or DXF polyline of the exposed blade, root on the left" className="p-2 bg-white border border-slate-200 hover:border-blue-400 rounded text-[10px] font-bold text-slate-600 flex items-center justify-center gap-1"><Upload size={12} /> Import</button>
+                    </div>
+                    <input ref={outlineInputRef} type="file" accept=".svg,.dxf,image/svg+xml" className="hidden" onChange={(e) => { importOutline(e.target.files[0]); e.target.value = ''; }} />
+                    <div className="text-[10px] font-mono text-slate-500">{params.customProfile.length} points · root {toDisplayValue(params.customProfile[0].h * 2).toFixed(unit === 'metric' ? 1 : 3)}{unitLabel} wide</div>
+                  </div>
                 ) : (
                   <div className="space-y-3 bg-slate-50 p-3 rounded-xl border border-slate-100">
                     <div><label className="text-[10px] font-bold text-slate-500 block mb-1">Curvature</label><input type="range" min="0.2" max="0.8" step="0.01" value={params.edgeCurvature} onChange={(e) => setParams(p => ({...p, edgeCurvature: parseFloat(e.target.value)}))} className="w-full h-2 bg-slate-200 rounded-lg appearance-none accent-blue-600" /></div>
                     <div><label className="text-[10px] font-bold text-slate-500 block mb-1">Rounding</label><input type="range" min="0" max={toDisplayValue(params.tipWidth / 2)} step={0.05} value={toDisplayValue(params.tipRadius)} onChange={(e) => handleSliderChange('tipRadius', e.target.value)} className="w-full h-2 bg-slate-200 rounded-lg appearance-none accent-blue-600" /></div>
                   </div>
                 )}
+                {params.tipStyle !== 'custom' && (
                 <div className="grid grid-cols-2 gap-3">
                   <div><label className="text-xs text-slate-500 block mb-1">End Width</label><input type="text" value={inputStates.tipWidth} onChange={(e) => handleTextChange('tipWidth', e.target.value)} className="w-full p-2 border rounded text-xs" /></div>
                   <div><label className="text-xs text-slate-500 block mb-1">Root Width</label><input type="text" value={inputStates.rootWidth} onChange={(e) => handleTextChange('rootWidth', e.target.value)} className="w-full p-2 border rounded text-xs" /></div>
                 </div>
+                )}
+              </div>
+            </div>
+
+            <div className="pt-4 border-t border-slate-100">
+              <label className="text-[10px] font-semibold uppercase text-slate-400 mb-2 block tracking-wider">Auto-Balance</label>
+              <div className="space-y-3 p-3 bg-green-50/40 rounded-lg border border-green-100">
+                <div className="grid grid-cols-2 gap-2">
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Target CG %</label><input type="text" inputMode="decimal" value={solverTarget.cgPercent} onChange={(e) => setSolverTarget(t => ({ ...t, cgPercent: e.target.value }))} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Flywheel</label>
+                    <select value={solverTarget.flywheel} onChange={(e) => setSolverTarget(t => ({ ...t, flywheel: e.target.value }))} className="w-full p-1.5 border rounded text-xs bg-white">
+                      <option value="">Any</option>
+                      {FLYWHEEL_BANDS.map(band => <option key={band.rating} value={band.rating}>{band.rating}</option>)}
+                    </select>
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <input type="checkbox" checked={solverTarget.freeTipWidth} onChange={(e) => setSolverTarget(t => ({ ...t, freeTipWidth: e.target.checked }))} className="w-4 h-4 text-blue-600 rounded cursor-pointer" id="freeTipWidth" />
+                  <label htmlFor="freeTipWidth" className="text-[10px] font-bold text-slate-600 cursor-pointer">Allow End Width to change</label>
+                </div>
+                <button onClick={runSolver} disabled={params.tipStyle === 'custom' || solverProgress !== null} className="w-full bg-green-600 hover:bg-green-700 disabled:bg-slate-300 text-white text-xs font-bold py-2 rounded-lg flex items-center justify-center gap-2 active:scale-95 transition-all"><Wand2 size={14} /> {solverProgress === null ? 'Balance Into Sweet Spot' : `Searching… ${Math.round(solverProgress * 100)}%`}</button>
+                {params.tipStyle === 'custom' && <p className="text-[10px] text-slate-500 leading-snug">Custom shapes are balanced by hand: drag points toward the root or tip and watch the crosshair.</p>}
+                {solutions.length > 0 && (
+                  <div className="space-y-1">
+                    {solutions.map((solution, i) => (
+                      <button key={i} onClick={() => applySolution(solution)} title={Object.entries(solution.changes).map(([key, val]) => `${key}: ${val.toFixed(3)}`).join(', ')} className="w-full text-left px-2 py-1.5 rounded border border-slate-200 bg-white hover:border-green-400 text-[10px] font-mono flex justify-between">
+                        <span className="text-green-700 font-bold">{solution.cgPercent.toFixed(1)}%</span>
+                        <span className="text-slate-500">{solution.flywheelRating}</span>
+                        <span className="text-slate-400">{Object.values(solution.changes).map(v => v.toFixed(2)).join(' / ')}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {closestSolution && (
+                  <div className="space-y-1">
+                    <p className="text-[10px] text-amber-800 leading-snug">No solution in range: no shape within the slider limits reaches {solverTarget.cgPercent}% CG{solverTarget.flywheel ? ` with a ${solverTarget.flywheel} flywheel` : ''}. The design is unchanged.</p>
+                    <button onClick={() => applySolution(closestSolution)} title={Object.entries(closestSolution.changes).map(([key, val]) => `${key}: ${val.toFixed(3)}`).join(', ')} className="w-full text-left px-2 py-1.5 rounded border border-amber-200 bg-white hover:border-amber-400 text-[10px] font-mono flex justify-between">
+                      <span className="text-amber-700">Closest {closestSolution.cgPercent.toFixed(1)}%</span>
+                      <span className="text-slate-500">{closestSolution.flywheelRating}</span>
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -333,17 +911,187 @@ const App = () => {
                     </div>
                   )}
                 </div>
+                <div className="space-y-3 p-3 bg-slate-50 rounded-lg border border-slate-100">
+                  <div className="grid grid-cols-2 gap-2">
+                    <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Pitch (°)</label><input type="text" inputMode="decimal" value={inputStates.pitch} onChange={(e) => handleNumberChange('pitch', e.target.value, 1, 89)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                    <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Hub Dia</label><input type="text" value={inputStates.hubDiameter} onChange={(e) => handleTextChange('hubDiameter', e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Blade Count</label><input type="text" inputMode="numeric" value={inputStates.quantity} onChange={(e) => handleCountChange('quantity', e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                    <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Cut Tolerance</label><input type="text" value={inputStates.offSpecTolerance} onChange={(e) => handleTextChange('offSpecTolerance', e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                  </div>
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Drive Friction (N·m)</label><input type="text" inputMode="decimal" value={inputStates.frictionTorque} onChange={(e) => handleNumberChange('frictionTorque', e.target.value, 0, 10)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                  <p className={`text-[10px] leading-tight ${rotor.fits ? 'text-slate-500' : 'text-red-600 font-bold'}`}>
+                    {rotor.fits ? `${rotor.quantity} blades fit the ${toDisplayValue(params.hubDiameter).toFixed(unit === 'metric' ? 1 : 2)}${unitLabel} hub.` : `${rotor.quantity} blades overlap at the root.`} Max {rotor.maxBlades} for this profile.
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            <div className="pt-4 border-t border-slate-100">
+              <label className="text-[10px] font-semibold uppercase text-slate-400 mb-2 block tracking-wider">Material</label>
+              <div className="space-y-3 p-3 bg-slate-50 rounded-lg border border-slate-100">
+                <div className="flex gap-1">
+                  <select value={params.material} onChange={(e) => handleMaterialChange(e.target.value)} className="flex-1 p-1.5 border rounded text-xs bg-white">
+                    {Object.entries(materialOptions).map(([id, m]) => <option key={id} value={id}>{m.label}</option>)}
+                  </select>
+                  <button onClick={saveCustomMaterial} title="Save density and thickness as a custom material" className="p-1.5 border rounded bg-white text-slate-500 hover:text-blue-600"><Plus size={14} /></button>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Thickness ({unitLabel})</label><input type="text" value={inputStates.thickness} onChange={(e) => handleTextChange('thickness', e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Density (kg/m³)</label><input type="text" inputMode="decimal" value={inputStates.density} onChange={(e) => handleDensityChange(e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                </div>
+                <div className="grid grid-cols-2 gap-x-2 gap-y-1 text-[10px] font-mono text-slate-600">
+                  <span>Blade: {formatMass(derived.mass)}</span><span>Rotor ×{rotor.quantity}: {formatMass(rotor.totalMass)}</span>
+                  <span>I: {formatInertia(derived.momentOfInertia)}</span><span>I: {formatInertia(rotor.totalInertia)}</span>
+                </div>
+              </div>
+            </div>
+
+            <div className="pt-4 border-t border-slate-100">
+              <label className="text-[10px] font-semibold uppercase text-slate-400 mb-2 block tracking-wider">3D Printed Hub</label>
+              <div className="space-y-3 p-3 bg-slate-50 rounded-lg border border-slate-100">
+                <div className="grid grid-cols-2 gap-2">
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Bore Dia ({unitLabel})</label><input type="text" value={inputStates.boreDiameter} onChange={(e) => handleTextChange('boreDiameter', e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Print Clearance</label><input type="text" value={inputStates.printClearance} onChange={(e) => handleTextChange('printClearance', e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                </div>
+                <p className="text-[10px] leading-tight text-slate-500">
+                  Ø{toDisplayValue(params.hubDiameter).toFixed(unit === 'metric' ? 1 : 2)} × {toDisplayValue(hub.height).toFixed(unit === 'metric' ? 1 : 2)}{unitLabel} hub, {hub.quantity} slots pitched {params.pitch}°{hub.hasPins ? ' with pin channels' : ''}.
+                </p>
+                {hub.issues.map(issue => <p key={issue} className="text-[10px] leading-tight text-red-600 font-bold">{issue}</p>)}
+                <div className="grid grid-cols-2 gap-2">
+                  {[['stl', 'Hub STL'], ['3mf', 'Hub 3MF']].map(([format, label]) => (
+                    <button key={format} onClick={() => downloadHub(format)} disabled={hubExport !== null} className="p-2 bg-white border hover:bg-slate-100 disabled:text-slate-400 disabled:hover:bg-white rounded text-xs font-semibold text-slate-700 flex items-center justify-center gap-1.5"><Box size={14} /> {hubExport && hubExport.format === format ? `Building… ${Math.round(hubExport.progress * 100)}%` : label}</button>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            <div className="pt-4 border-t border-slate-100">
+              <label className="text-[10px] font-semibold uppercase text-slate-400 mb-2 block tracking-wider">Kerf & Cut Sheet</label>
+              <div className="space-y-3 p-3 bg-slate-50 rounded-lg border border-slate-100">
+                <div className="grid grid-cols-2 gap-2">
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Machine</label>
+                    <select value={kerfPreset} onChange={(e) => handleKerfPresetChange(e.target.value)} className="w-full p-1.5 border rounded text-xs bg-white">
+                      {Object.entries(KERF_PRESETS).map(([id, m]) => <option key={id} value={id}>{m.label}</option>)}
+                      {kerfPreset === 'custom' && <option value="custom">Custom</option>}
+                    </select>
+                  </div>
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Kerf / Side ({unitLabel})</label><input type="text" value={inputStates.kerfOffset} onChange={(e) => handleTextChange('kerfOffset', e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <input type="checkbox" checked={showCutLine} onChange={(e) => setShowCutLine(e.target.checked)} className="w-4 h-4 text-blue-600 rounded cursor-pointer" id="cutline" />
+                  <label htmlFor="cutline" className="text-[10px] text-slate-600 cursor-pointer">Preview cut line over the nominal shape</label>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Sheet W ({unitLabel})</label><input type="text" value={inputStates.sheetWidth} onChange={(e) => handleTextChange('sheetWidth', e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Sheet H ({unitLabel})</label><input type="text" value={inputStates.sheetHeight} onChange={(e) => handleTextChange('sheetHeight', e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                </div>
+                <div className="grid grid-cols-3 gap-2">
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Margin</label><input type="text" value={inputStates.sheetMargin} onChange={(e) => handleTextChange('sheetMargin', e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Spacing</label><input type="text" value={inputStates.partSpacing} onChange={(e) => handleTextChange('partSpacing', e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                  <div><label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">Spares</label><input type="text" inputMode="numeric" value={inputStates.spares} onChange={(e) => handleCountChange('spares', e.target.value, 0)} className="w-full p-1.5 border rounded text-xs font-mono" /></div>
+                </div>
+                <p className={`text-[10px] leading-tight ${cutSheets.perSheet ? 'text-slate-500' : 'text-red-600 font-bold'}`}>
+                  {cutSheets.perSheet
+                    ? `${cutSheets.count} blades: ${cutSheets.perSheet} per sheet, ${cutSheets.sheetCount} sheet${cutSheets.sheetCount === 1 ? '' : 's'}, ${(cutSheets.utilization * 100).toFixed(0)}% material used.`
+                    : 'The blade does not fit inside the sheet margins.'}
+                </p>
+                <div className="grid grid-cols-2 gap-2">
+                  <button onClick={() => downloadCutSheets('svg')} disabled={!cutSheets.perSheet} className="p-2 bg-white border hover:bg-slate-100 rounded text-xs font-semibold text-slate-700 flex items-center justify-center gap-1.5 disabled:opacity-40"><Layers size={14} /> Sheets SVG</button>
+                  <button onClick={() => downloadCutSheets('dxf')} disabled={!cutSheets.perSheet} className="p-2 bg-white border hover:bg-slate-100 rounded text-xs font-semibold text-slate-700 flex items-center justify-center gap-1.5 disabled:opacity-40"><Layers size={14} /> Sheets DXF</button>
+                </div>
               </div>
             </div>
 
+            <div className="pt-4 border-t border-slate-100">
+              <label className="text-[10px] font-semibold uppercase text-slate-400 mb-2 block tracking-wider">Checks</label>
+              {issues.length ? (
+                <ul className="space-y-1.5">
+                  {issues.map(issue => (
+                    <li key={issue.id} className={`flex items-start gap-1.5 p-2 rounded text-[10px] leading-snug border ${issue.severity === 'error' ? 'bg-red-50 border-red-100 text-red-800' : 'bg-amber-50 border-amber-100 text-amber-900'}`}>
+                      {issue.severity === 'error' ? <AlertCircle size={12} className="flex-shrink-0 mt-px text-red-600" /> : <AlertTriangle size={12} className="flex-shrink-0 mt-px text-amber-600" />}
+                      <span>{issue.message}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="flex items-center gap-1.5 text-[10px] text-green-700"><CheckCircle2 size={12} /> No geometry or manufacturing problems found.</div>
+              )}
+            </div>
+
             <div className="pt-2 flex flex-col gap-2">
                <button onClick={downloadSVG} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2.5 px-4 rounded-xl flex items-center justify-center gap-2 shadow-md active:scale-95 transition-all"><Download size={18} /> Export SVG</button>
                <button onClick={downloadJPG} className="w-full bg-slate-100 hover:bg-slate-200 text-slate-700 font-semibold py-2.5 px-4 rounded-xl flex items-center justify-center gap-2 active:scale-95 transition-all"><ImageIcon size={18} /> Export JPG</button>
+               <div className="grid grid-cols-2 gap-2">
+                  <button onClick={downloadDXF} className="bg-slate-100 hover:bg-slate-200 text-slate-700 font-semibold py-2.5 px-4 rounded-xl flex items-center justify-center gap-2 active:scale-95 transition-all"><FileCode size={18} /> DXF</button>
+                  <button onClick={downloadPDF} className="bg-slate-100 hover:bg-slate-200 text-slate-700 font-semibold py-2.5 px-4 rounded-xl flex items-center justify-center gap-2 active:scale-95 transition-all"><Printer size={18} /> PDF</button>
+               </div>
+               <button onClick={downloadReport} title="One-page build sheet with a dimensioned drawing, metrics and a cut checklist" className="w-full bg-slate-100 hover:bg-slate-200 text-slate-700 font-semibold py-2.5 px-4 rounded-xl flex items-center justify-center gap-2 active:scale-95 transition-all"><FileText size={18} /> Export Report</button>
+               <div className="flex items-center justify-between text-[10px] text-slate-500 font-bold uppercase tracking-wider">
+                  <span>PDF Paper (tiled 1:1)</span>
+                  <select value={pdfPaper} onChange={(e) => setPdfPaper(e.target.value)} className="p-1 border rounded text-xs bg-white normal-case tracking-normal">
+                    {Object.entries(PAPER_SIZES).map(([id, size]) => <option key={id} value={id}>{size.label}</option>)}
+                  </select>
+               </div>
+            </div>
+
+            <div className="pt-4 border-t border-slate-100">
+              <label className="text-[10px] font-semibold uppercase text-slate-400 mb-2 block tracking-wider">Designs</label>
+              <div className="space-y-2">
+                {storageError && (
+                  <div className="flex items-start gap-1.5 p-2 rounded text-[10px] leading-snug border bg-amber-50 border-amber-100 text-amber-900">
+                    <AlertTriangle size={12} className="flex-shrink-0 mt-px text-amber-600" />
+                    <span className="flex-1">{storageError}</span>
+                    <button onClick={() => setStorageError(null)} title="Dismiss" className="text-amber-600 hover:text-amber-900"><X size={12} /></button>
+                  </div>
+                )}
+                <input type="text" value={designName} onChange={(e) => setDesignName(e.target.value)} placeholder="Design name" className="w-full p-2 border rounded text-xs" />
+                <div className="grid grid-cols-4 gap-1">
+                  <button onClick={saveToLibrary} title="Save to library" className="p-2 bg-slate-100 hover:bg-slate-200 rounded flex items-center justify-center text-slate-600"><Save size={14} /></button>
+                  <button onClick={exportDesignJSON} title="Export design JSON" className="p-2 bg-slate-100 hover:bg-slate-200 rounded flex items-center justify-center text-slate-600"><Download size={14} /></button>
+                  <button onClick={() => importInputRef.current && importInputRef.current.click()} title="Import design JSON" className="p-2 bg-slate-100 hover:bg-slate-200 rounded flex items-center justify-center text-slate-600"><Upload size={14} /></button>
+                  <button onClick={copyShareLink} title="Copy shareable link" className={`p-2 rounded flex items-center justify-center ${linkCopied ? 'bg-green-100 text-green-700' : 'bg-slate-100 hover:bg-slate-200 text-slate-600'}`}><Link size={14} /></button>
+                </div>
+                <input ref={importInputRef} type="file" accept="application/json,.json" className="hidden" onChange={(e) => { importDesignJSON(e.target.files[0]); e.target.value = ''; }} />
+                {library.length > 0 && (
+                  <ul className="border rounded divide-y text-xs">
+                    {library.map(entry => (
+                      <li key={entry.id} className="flex items-center gap-1 px-2 py-1.5">
+                        <button onClick={() => loadFromLibrary(entry)} title={`Load (saved ${new Date(entry.savedAt).toLocaleString()})`} className="flex-1 text-left truncate flex items-center gap-1.5 hover:text-blue-600"><FolderOpen size={12} className="flex-shrink-0 text-slate-400" />{entry.name}</button>
+                        <button onClick={() => pinFromLibrary(entry)} disabled={pinned.length >= MAX_PINNED} title="Pin for comparison" className="p-1 text-slate-400 hover:text-slate-700 disabled:opacity-30"><Pin size={12} /></button>
+                        <button onClick={() => duplicateInLibrary(entry)} title="Duplicate" className="p-1 text-slate-400 hover:text-slate-700"><Copy size={12} /></button>
+                        <button onClick={() => renameInLibrary(entry)} title="Rename" className="p-1 text-slate-400 hover:text-slate-700"><Pencil size={12} /></button>
+                        <button onClick={() => deleteFromLibrary(entry)} title="Delete" className="p-1 text-slate-400 hover:text-red-600"><Trash2 size={12} /></button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+
+            <div className="pt-4 border-t border-slate-100">
+              <label className="text-[10px] font-semibold uppercase text-slate-400 mb-2 block tracking-wider">Compare</label>
+              <div className="space-y-2">
+                <button onClick={() => pinDesign(designName, params)} disabled={pinned.length >= MAX_PINNED} className="w-full p-2 bg-slate-100 hover:bg-slate-200 disabled:opacity-50 rounded text-xs font-bold text-slate-600 flex items-center justify-center gap-1.5"><Pin size={12} /> Pin Current Design ({pinned.length}/{MAX_PINNED})</button>
+                {pinned.length > 0 && (
+                  <ul className="border rounded divide-y text-xs">
+                    {pinned.map(pin => (
+                      <li key={pin.id} className="flex items-center gap-1.5 px-2 py-1.5">
+                        <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: pin.color }} />
+                        <button onClick={() => loadDesign({ name: pin.name, unit, params: pin.params })} title="Load this design" className="flex-1 text-left truncate hover:text-blue-600">{pin.name}</button>
+                        <button onClick={() => unpinDesign(pin.id)} title="Unpin" className="p-1 text-slate-400 hover:text-red-600"><X size={12} /></button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <p className="text-[10px] text-slate-400 leading-snug">Pinned outlines are drawn over the blade view, with their figures in a table beside it.</p>
+              </div>
             </div>
 
             <div className="bg-amber-50 border border-amber-100 rounded-xl p-3 mt-4">
               <div className="flex items-center gap-2 mb-1"><Ruler size={14} className="text-amber-600" /><label className="text-xs font-bold text-amber-900">Pitch Guide</label></div>
-              <p className="text-[10px] text-amber-800 leading-tight">Recommended hub angle for 3D printed parts is <b>25°</b> for light wind performance.</p>
+              <p className="text-[10px] text-amber-800 leading-tight">Recommended hub angle for 3D printed parts is <b>{DEFAULT_PITCH}°</b> for light wind performance. This design uses <b>{params.pitch}°</b> and starts turning at <b>{formatSpeed(derived.cutInSpeed)}</b>.</p>
             </div>
           </section>
         </div>
@@ -351,22 +1099,171 @@ const App = () => {
 
       {/* Main Viewport */}
       <div className="flex-1 flex flex-col relative bg-white overflow-hidden">
+        <div className="absolute top-3 right-3 z-10 grid grid-cols-5 gap-1 bg-slate-100 p-1 rounded-lg shadow-sm">
+          <button className={`flex items-center justify-center gap-1.5 px-3 py-1.5 text-[10px] font-bold uppercase rounded-md transition-all ${viewMode === 'blade' ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500'}`} onClick={() => setViewMode('blade')}><Leaf size={12} /> Blade</button>
+          <button className={`flex items-center justify-center gap-1.5 px-3 py-1.5 text-[10px] font-bold uppercase rounded-md transition-all ${viewMode === 'rotor' ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500'}`} onClick={() => setViewMode('rotor')}><Fan size={12} /> Rotor</button>
+          <button className={`flex items-center justify-center gap-1.5 px-3 py-1.5 text-[10px] font-bold uppercase rounded-md transition-all ${viewMode === 'aero' ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500'}`} onClick={() => setViewMode('aero')}><Activity size={12} /> Start-up</button>
+          <button className={`flex items-center justify-center gap-1.5 px-3 py-1.5 text-[10px] font-bold uppercase rounded-md transition-all ${viewMode === 'hub' ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500'}`} onClick={() => setViewMode('hub')}><Box size={12} /> Hub</button>
+          <button className={`flex items-center justify-center gap-1.5 px-3 py-1.5 text-[10px] font-bold uppercase rounded-md transition-all ${viewMode === 'sweep' ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500'}`} onClick={() => setViewMode('sweep')}><LineChart size={12} /> Sweep</button>
+        </div>
         <div className="flex-1 flex items-center justify-center p-4 bg-[radial-gradient(#e2e8f0_1px,transparent_1px)] [background-size:24px_24px]">
+          {viewMode === 'aero' ? (() => {
+            // Plot box in viewBox units: wind speed across, torque (left) and RPM (right) up
+            const box = { left: 70, right: 730, top: 50, bottom: 330 };
+            const maxTorque = Math.max(params.frictionTorque * 1.5, ...aero.curve.map(pt => pt.startingTorque)) || 1;
+            const maxRpm = Math.max(10, ...aero.curve.map(pt => pt.rpm));
+            const px = (v) => box.left + (v / aero.maxWindSpeed) * (box.right - box.left);
+            const pyTorque = (q) => box.bottom - (q / maxTorque) * (box.bottom - box.top);
+            const pyRpm = (rpm) => box.bottom - (rpm / maxRpm) * (box.bottom - box.top);
+            const line = (pts) => pts.map((pt, i) => `${i ? 'L' : 'M'} ${pt[0].toFixed(1)} ${pt[1].toFixed(1)}`).join(' ');
+            const speedScale = unit === 'metric' ? 1 : MPS_TO_MPH;
+            const ticks = Array.from({ length: 6 }, (_, i) => i / 5);
+            const cutInX = px(Math.min(aero.maxWindSpeed, aero.cutInSpeed));
+            return (
+              <svg width="100%" height="100%" viewBox="0 0 800 400" className="transition-all">
+                <rect x={box.left} y={box.top} width={box.right - box.left} height={box.bottom - box.top} fill="white" stroke="#cbd5e1" />
+                {ticks.map(t => (
+                  <g key={t} className="text-[10px] font-mono">
+                    <line x1={box.left + t * (box.right - box.left)} y1={box.top} x2={box.left + t * (box.right - box.left)} y2={box.bottom} stroke="#f1f5f9" />
+                    <line x1={box.left} y1={box.bottom - t * (box.bottom - box.top)} x2={box.right} y2={box.bottom - t * (box.bottom - box.top)} stroke="#f1f5f9" />
+                    <text x={box.left + t * (box.right - box.left)} y={box.bottom + 16} textAnchor="middle" className="fill-slate-500">{(t * aero.maxWindSpeed * speedScale).toFixed(1)}</text>
+                    <text x={box.left - 6} y={box.bottom - t * (box.bottom - box.top) + 3} textAnchor="end" className="fill-blue-600">{toDisplayTorque(t * maxTorque).toPrecision(2)}</text>
+                    <text x={box.right + 6} y={box.bottom - t * (box.bottom - box.top) + 3} className="fill-amber-600">{Math.round(t * maxRpm)}</text>
+                  </g>
+                ))}
+                <text x={(box.left + box.right) / 2} y={box.bottom + 34} textAnchor="middle" className="fill-slate-500 text-[10px] font-bold uppercase tracking-widest">Wind Speed ({unit === 'metric' ? 'm/s' : 'mph'})</text>
+                <text x={box.left} y={box.top - 10} className="fill-blue-600 text-[10px] font-bold uppercase tracking-widest">Starting Torque ({unit === 'metric' ? 'N·m' : 'oz·in'})</text>
+                <text x={box.right} y={box.top - 10} textAnchor="end" className="fill-amber-600 text-[10px] font-bold uppercase tracking-widest">Free-Run RPM</text>
+
+                <line x1={box.left} y1={pyTorque(params.frictionTorque)} x2={box.right} y2={pyTorque(params.frictionTorque)} stroke="#ef4444" strokeWidth="1.5" strokeDasharray="4 4" />
+                <path d={line(aero.curve.map(pt => [px(pt.windSpeed), pyTorque(pt.startingTorque)]))} fill="none" stroke="#2563eb" strokeWidth="2" />
+                <path d={line(aero.curve.map(pt => [px(pt.windSpeed), pyRpm(pt.rpm)]))} fill="none" stroke="#d97706" strokeWidth="2" />
+
+                <line x1={cutInX} y1={box.top} x2={cutInX} y2={box.bottom} stroke="#16a34a" strokeWidth="1.5" />
+                <text x={cutInX + 4} y={box.top + 12} className="fill-green-700 text-[10px] font-bold">CUT-IN {formatSpeed(aero.cutInSpeed)}</text>
+                <line x1={px(windSpeed)} y1={box.top} x2={px(windSpeed)} y2={box.bottom} stroke="#475569" strokeWidth="1" strokeDasharray="2 3" />
+                <circle cx={px(windSpeed)} cy={pyRpm(aero.current.rpm)} r="4" fill="#d97706" />
+              </svg>
+            );
+          })() : viewMode === 'sweep' ? (() => {
+            // Plot box in viewBox units: swept value across, CG % (left) and inertia (right) up
+            const box = { left: 70, right: 730, top: 50, bottom: 330 };
+            const isLength = LENGTH_KEYS.includes(sweepRange.key);
+            const showValue = (v) => (isLength ? toDisplayValue(v) : v);
+            const cgs = sweepCurve.map(pt => pt.cgPercent);
+            const cgMin = Math.floor(Math.min(SWEET_SPOT.start * 100 - 5, ...cgs) / 5) * 5;
+            const cgMax = Math.ceil(Math.max(SWEET_SPOT.end * 100 + 5, ...cgs) / 5) * 5;
+            const maxInertia = Math.max(...sweepCurve.map(pt => pt.momentOfInertia)) || 1;
+            const span = sweepRange.to - sweepRange.from || 1;
+            const px = (v) => box.left + ((v - sweepRange.from) / span) * (box.right - box.left);
+            const pyCg = (cg) => box.bottom - ((cg - cgMin) / (cgMax - cgMin)) * (box.bottom - box.top);
+            const pyInertia = (i) => box.bottom - (i / maxInertia) * (box.bottom - box.top);
+            const line = (pts) => pts.map((pt, i) => `${i ? 'L' : 'M'} ${pt[0].toFixed(1)} ${pt[1].toFixed(1)}`).join(' ');
+            const ticks = Array.from({ length: 6 }, (_, i) => i / 5);
+            const current = params[sweepRange.key];
+            const inRange = (current - sweepRange.from) * (current - sweepRange.to) <= 0;
+            return (
+              <svg width="100%" height="100%" viewBox="0 0 800 400" className="transition-all">
+                <rect x={box.left} y={box.top} width={box.right - box.left} height={box.bottom - box.top} fill="white" stroke="#cbd5e1" />
+                <rect x={box.left} y={pyCg(SWEET_SPOT.end * 100)} width={box.right - box.left} height={pyCg(SWEET_SPOT.start * 100) - pyCg(SWEET_SPOT.end * 100)} fill="#22c55e" fillOpacity="0.12" />
+                <text x={box.right - 6} y={pyCg(SWEET_SPOT.end * 100) + 12} textAnchor="end" className="fill-green-600 text-[8px] font-bold uppercase tracking-widest">Sweet Spot</text>
+                {ticks.map(t => (
+                  <g key={t} className="text-[10px] font-mono">
+                    <line x1={box.left + t * (box.right - box.left)} y1={box.top} x2={box.left + t * (box.right - box.left)} y2={box.bottom} stroke="#f1f5f9" />
+                    <line x1={box.left} y1={box.bottom - t * (box.bottom - box.top)} x2={box.right} y2={box.bottom - t * (box.bottom - box.top)} stroke="#f1f5f9" />
+                    <text x={box.left + t * (box.right - box.left)} y={box.bottom + 16} textAnchor="middle" className="fill-slate-500">{showValue(sweepRange.from + t * span).toPrecision(3)}</text>
+                    <text x={box.left - 6} y={box.bottom - t * (box.bottom - box.top) + 3} textAnchor="end" className="fill-red-600">{(cgMin + t * (cgMax - cgMin)).toFixed(0)}%</text>
+                    <text x={box.right + 6} y={box.bottom - t * (box.bottom - box.top) + 3} className="fill-blue-600">{toDisplayInertia(t * maxInertia).toPrecision(2)}</text>
+                  </g>
+                ))}
+                <text x={(box.left + box.right) / 2} y={box.bottom + 34} textAnchor="middle" className="fill-slate-500 text-[10px] font-bold uppercase tracking-widest">{sweepOption.label}{isLength ? ` (${unitLabel})` : ''}</text>
+                <text x={box.left} y={box.top - 10} className="fill-red-600 text-[10px] font-bold uppercase tracking-widest">CG (% of exposed length)</text>
+                <text x={box.right} y={box.top - 10} textAnchor="end" className="fill-blue-600 text-[10px] font-bold uppercase tracking-widest">Inertia ({unit === 'metric' ? 'kg·m²' : 'lb·in²'})</text>
+
+                <path d={line(sweepCurve.map(pt => [px(pt.value), pyCg(pt.cgPercent)]))} fill="none" stroke="#ef4444" strokeWidth="2" />
+                <path d={line(sweepCurve.map(pt => [px(pt.value), pyInertia(pt.momentOfInertia)]))} fill="none" stroke="#2563eb" strokeWidth="2" />
+
+                {inRange && (
+                  <g>
+                    <line x1={px(current)} y1={box.top} x2={px(current)} y2={box.bottom} stroke="#475569" strokeWidth="1" strokeDasharray="2 3" />
+                    <circle cx={px(current)} cy={pyCg(derived.cgPercent)} r="4" fill="#ef4444" />
+                    <circle cx={px(current)} cy={pyInertia(derived.momentOfInertia)} r="4" fill="#2563eb" />
+                    <text x={px(current) + 4} y={box.top + 12} className="fill-slate-600 text-[10px] font-bold">CURRENT</text>
+                  </g>
+                )}
+              </svg>
+            );
+          })() : viewMode === 'rotor' ? (() => {
+            const hubPx = rotor.hubR * IN_TO_PX;
+            const extent = (rotor.hubR + params.exposedLength) * IN_TO_PX + 40;
+            const bladeStroke = rotor.fits ? '#92400e' : '#dc2626';
+            return (
+              <svg width="100%" height="100%" viewBox={`${-extent} ${-extent} ${extent * 2} ${extent * 2}`} className="drop-shadow-2xl transition-all">
+                {Array.from({ length: rotor.quantity }, (_, i) => (
+                  <g key={i} transform={`rotate(${(i * 360) / rotor.quantity - 90}) translate(${hubPx}, 0) scale(1, ${rotor.cosPitch})`}>
+                    <path d={generateBladePath(params, true)} fill="#fde68a" fillOpacity="0.85" stroke={bladeStroke} strokeWidth="2" />
+                    {params.hasPinHole && <circle cx={-params.pinHoleOffset * IN_TO_PX} cy="0" r={(params.pinHoleSize / 2) * IN_TO_PX} fill="white" stroke="#ef4444" strokeWidth="1.5" />}
+                  </g>
+                ))}
+                <circle r={hubPx} fill="#cbd5e1" fillOpacity="0.6" stroke={rotor.fits ? '#475569' : '#dc2626'} strokeWidth="2" />
+                <circle r="4" fill="#475569" />
+                <text y={hubPx + 18} textAnchor="middle" className="fill-slate-500 text-[11px] font-mono pointer-events-none">
+                  {toDisplayValue(params.hubDiameter).toFixed(unit === 'metric' ? 1 : 2)}{unitLabel} hub · {params.pitch}° pitch
+                </text>
+              </svg>
+            );
+          })() : viewMode === 'hub' ? (
+            <svg width="100%" height="100%" viewBox={`${-hubPreview.extent} ${-hubPreview.extent} ${hubPreview.extent * 2} ${hubPreview.extent * 2}`} className="drop-shadow-2xl">
+              {hubPreview.faces.map((face, i) => <polygon key={i} points={face.points} fill={face.fill} stroke={face.fill} strokeWidth="0.004" strokeLinejoin="round" />)}
+            </svg>
+          ) : (
           <svg width="100%" height="100%" viewBox="-100 -200 800 400" className="drop-shadow-2xl transition-all">
-            <g transform="translate(50, 0)">
+            <g transform="translate(50, 0)" ref={bladeGroupRef}>
               <line x1="-100" y1="0" x2="600" y2="0" stroke="#cbd5e1" strokeWidth="1" strokeDasharray="4 4" />
               <rect x={derived.sweetStart * IN_TO_PX} y="-120" width={(derived.sweetEnd - derived.sweetStart) * IN_TO_PX} height="240" fill="#22c55e" fillOpacity="0.1" />
               <text x={(derived.sweetStart + derived.sweetEnd) / 2 * IN_TO_PX} y="-130" textAnchor="middle" className="fill-green-600 text-[8px] font-bold uppercase tracking-widest">Sweet Spot</text>
               
               <path d={generateBladePath(params, true)} fill="#fde68a" stroke="#92400e" strokeWidth="2" className="transition-all duration-300" />
+
+              {comparison.map(pin => (
+                <g key={pin.id} fill="none" stroke={pin.color} strokeWidth="1.5" className="pointer-events-none">
+                  <path d={generateBladePath(pin.params, true)} strokeDasharray="6 3" />
+                  <line x1={pin.blade.cgX * IN_TO_PX} y1="-8" x2={pin.blade.cgX * IN_TO_PX} y2="8" strokeWidth="2" />
+                </g>
+              ))}
               
               {params.hasPinHole && <circle cx={-params.pinHoleOffset * IN_TO_PX} cy="0" r={(params.pinHoleSize / 2) * IN_TO_PX} fill="white" stroke="#ef4444" strokeWidth="1.5" />}
+
+              {showCutLine && params.kerfOffset > 0 && (
+                <g fill="none" stroke="#2563eb" strokeWidth="1" strokeDasharray="4 2" className="pointer-events-none">
+                  <path d={generateBladePath(params, true, IN_TO_PX, true)} />
+                  {params.hasPinHole && <circle cx={-params.pinHoleOffset * IN_TO_PX} cy="0" r={cutHoleRadius(params, params.kerfOffset) * IN_TO_PX} />}
+                </g>
+              )}
               
               <g transform={`translate(${derived.cgX * IN_TO_PX}, 0)`} className="transition-all duration-300">
                 <line x1="-15" y1="0" x2="15" y2="0" stroke="#ef4444" strokeWidth="1.5" /><line x1="0" y1="-15" x2="0" y2="15" stroke="#ef4444" strokeWidth="1.5" /><circle r="4" fill="#ef4444" fillOpacity="0.2" stroke="#ef4444" strokeWidth="0.5" />
                 <g transform="translate(0, 25)"><rect x="-18" y="-8" width="36" height="12" rx="2" fill="white" stroke="#ef4444" strokeWidth="0.5" /><text textAnchor="middle" y="2" className="fill-red-600 text-[8px] font-mono font-bold">{derived.cgPercent.toFixed(1)}%</text></g>
               </g>
 
+              {params.tipStyle === 'custom' && params.customProfile.map((pt, i) => [-1, 1].map(side => (
+                <circle key={`${i}${side}`} cx={pt.t * params.exposedLength * IN_TO_PX} cy={side * pt.h * IN_TO_PX} r="5"
+                  fill={dragPoint === i ? '#2563eb' : 'white'} stroke="#2563eb" strokeWidth="1.5"
+                  className={i === 0 || i === params.customProfile.length - 1 ? 'cursor-ns-resize' : 'cursor-move'} style={{ touchAction: 'none' }}
+                  onPointerDown={(e) => { e.currentTarget.setPointerCapture(e.pointerId); setDragPoint(i); }}
+                  onPointerMove={(e) => { if (dragPoint === i) moveControlPoint(i, e.clientX, e.clientY); }}
+                  onPointerUp={() => setDragPoint(null)}
+                  onDoubleClick={() => removeControlPoint(i)} />
+              )))}
+
+              {issues.filter(issue => issue.at).map(issue => (
+                <g key={issue.id} transform={`translate(${issue.at.x * IN_TO_PX}, ${issue.at.y * IN_TO_PX})`}>
+                  <title>{issue.message}</title>
+                  <circle r="7" fill={issue.severity === 'error' ? '#dc2626' : '#d97706'} stroke="white" strokeWidth="1.5" />
+                  <text y="3.5" textAnchor="middle" className="fill-white text-[10px] font-bold pointer-events-none">!</text>
+                </g>
+              ))}
+
               <g className="fill-blue-500 text-[11px] font-mono pointer-events-none">
                 <text x={params.exposedLength * IN_TO_PX / 2} y="-20" textAnchor="middle">{toDisplayValue(params.exposedLength).toFixed(unit === 'metric' ? 1 : 2)}{unitLabel}</text>
                 <path d={`M 0 -10 L ${params.exposedLength * IN_TO_PX} -10`} stroke="#3b82f6" strokeWidth="1" strokeDasharray="2 2" />
@@ -374,16 +1271,116 @@ const App = () => {
               </g>
             </g>
           </svg>
+          )}
         </div>
 
+        {viewMode === 'hub' && (
+          <div className="absolute top-3 left-3 z-10 bg-white/90 border border-slate-200 rounded-lg shadow-sm p-3 w-56 space-y-2">
+            <label className="text-[10px] font-bold text-slate-600 uppercase flex justify-between">Turn <span className="font-mono">{hubViewAngle}°</span></label>
+            <input type="range" min="0" max="360" step="5" value={hubViewAngle} onChange={(e) => setHubViewAngle(parseInt(e.target.value, 10))} className="w-full h-2 bg-slate-200 rounded-lg appearance-none accent-blue-600" />
+            <div className="text-[10px] font-mono text-slate-600">
+              Bore {toDisplayValue(params.boreDiameter + 2 * params.printClearance).toFixed(unit === 'metric' ? 2 : 3)}{unitLabel} · Slot {toDisplayValue(params.thickness + 2 * params.printClearance).toFixed(unit === 'metric' ? 2 : 3)}{unitLabel}
+            </div>
+            {hubPending && <div className="text-[10px] text-slate-400">Updating model…</div>}
+          </div>
+        )}
+
+        {viewMode === 'blade' && comparison.length > 0 && (() => {
+          const rows = [
+            { label: 'CG', value: b => b.cgPercent, format: v => `${v.toFixed(1)}%`, delta: d => `${d.toFixed(1)}pt` },
+            { label: 'Area', value: b => b.totalArea, format: formatArea, delta: d => `${(d / derived.totalArea * 100).toFixed(0)}%` },
+            { label: 'Inertia', value: b => b.momentOfInertia, format: formatInertia, delta: d => `${(d / derived.momentOfInertia * 100).toFixed(0)}%` },
+            { label: 'Cut-in', value: b => b.cutInSpeed, format: formatSpeed, delta: d => formatSpeed(d), text: b => b.sensitivity },
+            { label: 'Coast', value: b => b.flywheelScore, format: v => `${v.toFixed(1)}s`, delta: d => `${d.toFixed(1)}s`, text: b => b.flywheelRating },
+          ];
+          const signed = (d, text) => (d > 0 ? `+${text}` : text);
+          return (
+            <div className="absolute top-3 left-3 z-10 bg-white/90 border border-slate-200 rounded-lg shadow-sm p-2 text-[10px] font-mono overflow-x-auto max-w-[calc(100%-1.5rem)]">
+              <table className="border-collapse">
+                <thead>
+                  <tr className="text-slate-500">
+                    <th />
+                    <th className="px-2 py-1 text-left font-bold text-slate-800">Current</th>
+                    {comparison.map(pin => <th key={pin.id} className="px-2 py-1 text-left font-bold max-w-[7rem] truncate" style={{ color: pin.color }}>{pin.name}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.label} className="border-t border-slate-100 align-top">
+                      <th className="pr-2 py-1 text-left font-bold uppercase text-slate-500">{row.label}</th>
+                      <td className="px-2 py-1 text-slate-800">{row.format(row.value(derived))}{row.text && <div className="text-slate-400">{row.text(derived)}</div>}</td>
+                      {comparison.map(pin => {
+                        const d = row.value(pin.blade) - row.value(derived);
+                        return (
+                          <td key={pin.id} className="px-2 py-1 text-slate-700">
+                            {row.format(row.value(pin.blade))}
+                            <div className={Math.abs(d) < 1e-9 ? 'text-slate-400' : 'text-slate-500'}>{Number.isFinite(d) ? `Δ ${signed(d, row.delta(d))}` : 'Δ —'}{row.text ? ` · ${row.text(pin.blade)}` : ''}</div>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          );
+        })()}
+
+        {viewMode === 'sweep' && (
+          <div className="absolute top-3 left-3 z-10 bg-white/90 border border-slate-200 rounded-lg shadow-sm p-3 w-56 space-y-2">
+            <label className="text-[10px] font-bold text-slate-600 uppercase block">Sweep</label>
+            <select value={sweepRange.key} onChange={(e) => selectSweepParameter(e.target.value)} className="w-full p-1.5 border rounded text-xs bg-white">
+              {sweepOptions.map(opt => <option key={opt.key} value={opt.key}>{opt.label}</option>)}
+            </select>
+            <div className="grid grid-cols-2 gap-2">
+              {['from', 'to'].map(end => (
+                <div key={end}>
+                  <label className="text-[9px] uppercase text-slate-400 font-bold block mb-1">{end}{LENGTH_KEYS.includes(sweepRange.key) ? ` (${unitLabel})` : ''}</label>
+                  <input key={`${sweepRange.key}-${unit}`} type="text" inputMode="decimal" defaultValue={parseFloat((LENGTH_KEYS.includes(sweepRange.key) ? toDisplayValue(sweepRange[end]) : sweepRange[end]).toFixed(3))} onChange={(e) => setSweepEnd(end, e.target.value)} className="w-full p-1.5 border rounded text-xs font-mono" />
+                </div>
+              ))}
+            </div>
+            <p className="text-[10px] text-slate-500 leading-snug">Everything else is held at the current design. The green band is the 35–42% sweet spot.</p>
+          </div>
+        )}
+
+        {viewMode === 'aero' && (
+          <div className="absolute top-3 left-3 z-10 bg-white/90 border border-slate-200 rounded-lg shadow-sm p-3 w-56 space-y-2">
+            <label className="text-[10px] font-bold text-slate-600 uppercase flex justify-between">Wind <span className="font-mono">{formatSpeed(windSpeed)}</span></label>
+            <input type="range" min="0" max={aero.maxWindSpeed} step="0.1" value={windSpeed} onChange={(e) => setWindSpeed(parseFloat(e.target.value))} className="w-full h-2 bg-slate-200 rounded-lg appearance-none accent-blue-600" />
+            <div className="grid grid-cols-2 gap-1 text-[10px] font-mono text-slate-600">
+              <span>RPM: {Math.round(aero.current.rpm)}</span><span>TSR: {aero.current.tipSpeedRatio.toFixed(2)}</span>
+              <span className="col-span-2">Start torque: {formatTorque(aero.current.startingTorque)}</span>
+            </div>
+          </div>
+        )}
+
         {/* Footer Metrics */}
         <div className="p-3 bg-slate-900 border-t border-slate-800 flex flex-col sm:flex-row justify-between items-center gap-2 text-[10px] text-slate-400 font-medium z-10 shadow-lg">
           <div className="flex gap-4 sm:gap-6 uppercase tracking-tighter">
             <div className="flex items-center gap-1.5" title="Center of Gravity Location"><Crosshair size={12} className="text-red-500"/> <span className="text-white">BALANCE: {derived.cgPercent.toFixed(1)}%</span></div>
-            <div className="flex items-center gap-1.5" title="Start-up torque in light wind"><Gauge size={12} className="text-blue-400"/> <span className="text-white">SENSITIVITY: {derived.sensitivity}</span></div>
-            <div className="flex items-center gap-1.5" title="Ability to maintain momentum between gusts"><Zap size={12} className="text-amber-400"/> <span className="text-white">FLYER: {derived.flywheelRating}</span></div>
+            <div className="flex items-center gap-1.5" title="Estimated cut-in wind speed of the assembled rotor"><Gauge size={12} className="text-blue-400"/> <span className="text-white">SENSITIVITY: {derived.sensitivity} ({formatSpeed(derived.cutInSpeed)})</span></div>
+            <div className="flex items-center gap-1.5" title="Ability to maintain momentum between gusts: seconds for the free-spinning rotor to coast to half of 300 RPM"><Zap size={12} className="text-amber-400"/> <span className="text-white">FLYER: {derived.flywheelRating} ({derived.flywheelScore.toFixed(1)}s)</span></div>
+            <div className="flex items-center gap-1.5" title="Blade mass including tab, less the pin hole"><Weight size={12} className="text-slate-300"/> <span className="text-white">MASS: {formatMass(derived.mass)}</span></div>
+            <div className="flex items-center gap-1.5" title="Exported outline vs. analytic profile: area error and CG shift (% of exposed length)"><MoveDiagonal size={12} className={Math.abs(derived.areaError) < 0.5 && Math.abs(derived.cgError) < 0.25 ? 'text-green-400' : 'text-red-500'}/> <span className="text-white">OUTLINE Δ: {derived.areaError.toFixed(2)}% / {derived.cgError.toFixed(2)}pt</span></div>
+            {viewMode === 'rotor' && (
+              <>
+                <div className="flex items-center gap-1.5" title="Mass and moment of inertia of all blades about the axle"><Fan size={12} className="text-blue-400"/> <span className="text-white">ROTOR: {formatMass(rotor.totalMass)} · {formatInertia(rotor.totalInertia)}</span></div>
+                <div className="flex items-center gap-1.5" title="Rotor CG shift when one blade is cut oversize by the tolerance"><AlertCircle size={12} className="text-amber-400"/> <span className="text-white">IMBALANCE: {formatImbalance(rotor.imbalanceMoment)} ({toDisplayValue(rotor.imbalanceOffset).toFixed(unit === 'metric' ? 2 : 4)}{unitLabel})</span></div>
+              </>
+            )}
           </div>
           <div className="flex items-center gap-2">
+            {issues.length > 0 && (
+              <span className={`px-2 py-0.5 rounded text-white ${errorCount ? 'bg-red-600' : 'bg-amber-600'}`} title={issues.map(issue => issue.message).join('\n')}>
+                {errorCount ? `${errorCount} ERROR${errorCount === 1 ? '' : 'S'}` : `${issues.length} WARNING${issues.length === 1 ? '' : 'S'}`}
+              </span>
+            )}
+            {viewMode === 'rotor' && (
+              <span className={`px-2 py-0.5 rounded text-white ${rotor.fits ? 'bg-green-600' : 'bg-red-600'}`}>
+                {rotor.fits ? `FITS · ${rotor.clearanceDeg.toFixed(1)}° CLEAR` : 'ROOT OVERLAP'}
+              </span>
+            )}
             <span className={`px-2 py-0.5 rounded text-white ${derived.cgPercent >= 35 && derived.cgPercent <= 42 ? 'bg-green-600' : 'bg-amber-600'}`}>
               {derived.cgPercent >= 35 && derived.cgPercent <= 42 ? 'IDEAL RANGE' : 'OFFSET'}
             </span>